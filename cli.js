@@ -0,0 +1,208 @@
+require('dotenv').config();
+const { config, missingEnv } = require('./lib/config');
+const { describeError } = require('./lib/util');
+const { getRules, classify } = require('./lib/classify');
+const { CARRIERS, getCarrier, fetchShipment, resolveShipmentRef } = require('./lib/carriers');
+const { searchIssuesByAwb } = require('./lib/jira');
+const { prepareJiraFields } = require('./lib/fields');
+const { planIssueChanges } = require('./lib/plan');
+const { printDryRunDiff } = require('./lib/dry-run');
+const { checkMove, getLifecycle } = require('./lib/lifecycle');
+const { getCommentTemplates } = require('./lib/comments');
+const { describeMatch } = require('./lib/decision');
+const { summarizeReport } = require('./lib/report');
+const { loadProfiles } = require('./lib/profiles');
+const { run } = require('./lib/sync');
+
+/**
+ * ---------------- CLI ----------------
+ * One-off operations, without a full sync:
+ *
+ *   node cli.js track <awb> [--carrier <id>] [--raw]   the carrier payload as the shipment model (JSON)
+ *   node cli.js explain <awb> [--carrier <id>]         the rule that fires, on what, and what a sync would write
+ *   node cli.js sync <issueKey...> [--dry-run]         sync just these issues
+ *   node cli.js sync --jql "<query>" [--dry-run]       sync the issues a JQL query finds
+ *
+ * `sync` takes --profile <name> to run one PROFILES_FILE profile (keys pick theirs by project).
+ * One-off syncs write no REPORT_FILE or DISCREPANCY_CSV_FILE and post no REPORT_WEBHOOK_URL summary;
+ * the summary is printed.
+ *
+ * Exit codes: 0 done · 1 failed (a request or an issue update) · 2 usage or configuration error ·
+ * 3 not found (no tracking for the AWB, issue keys Jira does not return, a query matching nothing)
+ */
+const EXIT = { ok: 0, failed: 1, usage: 2, notFound: 3 };
+const KEY_RE = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+const USAGE = [
+  'Usage: node cli.js track <awb> [--carrier <id>] [--raw]',
+  '       node cli.js explain <awb> [--carrier <id>]',
+  '       node cli.js sync <issueKey...> [--profile <name>] [--dry-run]',
+  '       node cli.js sync --jql "<query>" [--profile <name>] [--dry-run]'
+].join('\n');
+
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const opts = { command, args: [], carrier: config.DEFAULT_CARRIER };
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    const value = () => {
+      if (!rest[i + 1]) throw new UsageError(`${a} needs a value`);
+      return rest[++i];
+    };
+    if (a === '--carrier') opts.carrier = value().toLowerCase();
+    else if (a === '--raw') opts.raw = true;
+    else if (a === '--jql') opts.jql = value();
+    else if (a === '--profile') opts.profile = value();
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a.startsWith('--')) throw new UsageError(`unknown option ${a}`);
+    else opts.args.push(a);
+  }
+
+  if (command === 'track' || command === 'explain') {
+    if (opts.args.length !== 1) throw new UsageError(`${command} takes one AWB`);
+    if (!CARRIERS.has(opts.carrier)) throw new UsageError(`unknown carrier "${opts.carrier}" (known: ${[...CARRIERS.keys()].join(', ')})`);
+  } else if (command === 'sync') {
+    if (opts.jql && opts.args.length) throw new UsageError('sync takes issue keys or --jql "<query>", not both');
+    if (!opts.jql && !opts.args.length) throw new UsageError('sync needs issue keys or --jql "<query>"');
+    const bad = opts.args.filter(k => !KEY_RE.test(k));
+    if (bad.length) throw new UsageError(`not issue keys: ${bad.join(', ')}`);
+  } else {
+    throw new UsageError(command ? `unknown command "${command}"` : 'no command given');
+  }
+  return opts;
+};
+
+// Config the command needs; track only talks to the carrier
+const checkSetup = ({ command, profile }) => {
+  const missing = missingEnv(config).filter(name => command !== 'track' || name === 'DELHIVERY_TOKEN');
+  if (missing.length && !(command === 'sync' && config.PROFILES_FILE)) {
+    throw new UsageError(`missing environment variables: ${missing.join(', ')}`);
+  }
+  if (command === 'track') return;
+  if (profile && !loadProfiles().some(p => p.name === profile)) throw new UsageError(`no profile named "${profile}"`);
+  getRules();
+  if (config.LIFECYCLE_CHECKS) getLifecycle();
+  getCommentTemplates();
+};
+
+/**
+ * ---------------- Commands ----------------
+ */
+const track = async ({ args: [awb], carrier, raw }) => {
+  const shipment = await fetchShipment(carrier, awb);
+  if (!shipment) {
+    console.error(`❌ ${getCarrier(carrier).name} returned no tracking for AWB ${awb}`);
+    return EXIT.notFound;
+  }
+  const model = { ...shipment };
+  if (!raw) delete model.raw;
+  console.log(JSON.stringify(model, null, 2));
+  return EXIT.ok;
+};
+
+const describeRule = (rule) => {
+  if (!rule) return 'no rule matched and the status map has no entry';
+  const test = rule.match === 'predicate' ? `predicate ${rule.pattern}` : `${rule.field} ${rule.match}${rule.pattern ? ` "${rule.pattern}"` : ''}`;
+  return `${rule.id}${rule.priority !== undefined ? ` (priority ${rule.priority})` : ''}: ${test} → "${rule.status}"` +
+    `${rule.description ? `\n         ${rule.description}` : ''}`;
+};
+
+const explain = async ({ args: [awb], carrier }) => {
+  config.DRY_RUN = true; // read-only, whatever the environment says
+  const tracking = await fetchShipment(carrier, awb);
+  if (!tracking) {
+    console.error(`❌ ${getCarrier(carrier).name} returned no tracking for AWB ${awb}`);
+    return EXIT.notFound;
+  }
+  const { status, rule, decision } = classify(tracking);
+  const s = tracking.status || {};
+  console.log(`🔎 AWB ${awb} (${getCarrier(carrier).name}, rules revision ${getRules().revision})`);
+  console.log(`   carrier: "${s.text || '?'}"${s.type ? ` [${s.type}]` : ''} at ${s.at || '?'}${s.location ? `, ${s.location}` : ''}` +
+    `${s.instructions ? ` — ${s.instructions}` : ''}`);
+  console.log(`   rule:    ${describeRule(rule)}`);
+  if (decision) console.log(`   matched: ${describeMatch(decision.matched)} (${decision.confidence} confidence)`);
+  if (!status) return EXIT.ok;
+
+  await prepareJiraFields();
+  const issues = (await searchIssuesByAwb(awb)).filter(i => {
+    const ref = resolveShipmentRef(i);
+    return ref.carrier === carrier && ref.awb === awb;
+  });
+  if (!issues.length) {
+    console.log(`ℹ️ No ${config.JIRA_PROJECT} issue tracks AWB ${awb}; planning against an empty issue.`);
+    issues.push({ key: '(no issue)', fields: {} });
+  }
+  for (const issue of issues) {
+    const current = issue.fields.status?.name || '';
+    if (current && config.LIFECYCLE_CHECKS) {
+      const move = checkMove(current, status, tracking);
+      if (!move.allowed) {
+        console.log(`⛔ ${issue.key}: "${current}" → "${status}" would be blocked (${move.reason}) and labelled ${config.LIFECYCLE_REVIEW_LABEL}`);
+        continue;
+      }
+    }
+    const { customFields, comment } = planIssueChanges(issue, tracking, status);
+    if (issue.fields.status) await printDryRunDiff(issue, awb, current, status, customFields, comment);
+    else for (const [field, value] of Object.entries(customFields)) console.log(`   ${field}: → ${JSON.stringify(value)}`);
+  }
+  return EXIT.ok;
+};
+
+const sync = async ({ args, jql, profile, dryRun }) => {
+  if (dryRun) config.DRY_RUN = true;
+  config.REPORT_FILE = '';
+  config.DISCREPANCY_CSV_FILE = '';
+  config.REPORT_WEBHOOK_URL = '';
+  const reports = [];
+  const onReport = (report) => reports.push(report);
+  try {
+    await run({ keys: args.length ? args : null, jql, profile, onReport });
+  } catch (err) {
+    console.error(`❌ ${describeError(err)}`);
+    for (const report of reports) console.log(summarizeReport(report));
+    return EXIT.failed;
+  }
+  for (const report of reports) console.log(summarizeReport(report));
+
+  const rows = reports.flatMap(r => r.issues);
+  if (rows.some(r => r.outcome === 'failed')) return EXIT.failed;
+  const missing = args.filter(key => !rows.some(r => r.key === key));
+  if (missing.length) {
+    console.error(`❌ Not found: ${missing.join(', ')}`);
+    return EXIT.notFound;
+  }
+  if (!rows.length) {
+    console.error('❌ The query matched no issues');
+    return EXIT.notFound;
+  }
+  return EXIT.ok;
+};
+
+const COMMANDS = { track, explain, sync };
+
+// Resolves to the exit code
+const main = async (argv) => {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+    checkSetup(opts);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    if (err instanceof UsageError) console.error(USAGE);
+    return EXIT.usage;
+  }
+  try {
+    return await COMMANDS[opts.command](opts);
+  } catch (err) {
+    console.error(`💥 ${opts.command} failed:`, describeError(err));
+    return EXIT.failed;
+  }
+};
+
+module.exports = { EXIT, parseArgs, main };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
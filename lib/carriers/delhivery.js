@@ -0,0 +1,94 @@
+const delhivery = require('../delhivery');
+const { withOffset } = require('../time');
+
+/**
+ * ---------------- Delhivery adapter ----------------
+ * Wraps the Delhivery API client (lib/delhivery.js) in the carrier interface and maps its
+ * `Shipment` payload onto the common model (see lib/carriers/index.js).
+ *
+ * ScanType codes: UD = forward leg, RT = return leg, DL = final (delivered to consignee or origin).
+ */
+const LEGS = { UD: 'forward', RT: 'return' };
+const TZ = 'Asia/Kolkata'; // Delhivery timestamps are IST wall-clock times without an offset
+
+const legOf = (type) => LEGS[String(type || '').toUpperCase()] || null;
+const isFinal = (type) => String(type || '').toUpperCase() === 'DL';
+
+const amount = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// OrderType on tracking responses ("Pre-paid", "COD"); PaymentMode on some accounts
+const paymentMode = (v) => {
+  const s = String(v || '').trim();
+  if (!s) return null;
+  if (/^(cod|cash)/i.test(s)) return 'COD';
+  if (/^pre-?paid$/i.test(s)) return 'Prepaid';
+  return s;
+};
+
+const normalize = (raw) => {
+  const at = (v) => withOffset(v, TZ);
+  const s = raw?.Status || {};
+  const type = s.StatusType || s.ScanType || null;
+  const scans = Array.isArray(raw?.Scans) ? raw.Scans : [];
+
+  return {
+    carrier: 'delhivery',
+    awb: String(raw?.AWB || '').trim() || null,
+    reference: raw?.ReferenceNo || null,
+    status: {
+      text: s.Status || null,
+      type,
+      code: s.StatusCode || null,
+      at: at(s.StatusDateTime),
+      location: s.StatusLocation || null,
+      instructions: s.Instructions || null,
+      leg: legOf(type),
+      final: isFinal(type)
+    },
+    scans: scans.map(x => x?.ScanDetail || {}).map(sd => ({
+      at: at(sd.ScanDateTime),
+      statusAt: at(sd.StatusDateTime),
+      text: sd.Scan || null,
+      type: sd.ScanType || null,
+      code: sd.StatusCode || null,
+      location: sd.ScannedLocation || null,
+      instructions: sd.Instructions || null,
+      leg: legOf(sd.ScanType),
+      final: isFinal(sd.ScanType)
+    })),
+    dates: {
+      pickedUp: at(raw?.OriginRecieveDate),
+      destinationReceived: at(raw?.DestRecieveDate),
+      promised: at(raw?.PromisedDeliveryDate),
+      expected: at(raw?.ExpectedDeliveryDate),
+      delivered: at(raw?.DeliveryDate),
+      returned: at(raw?.ReturnedDate),
+      rtoStarted: at(raw?.RTOStartedDate)
+    },
+    charges: {
+      chargedWeight: amount(raw?.ChargedWeight),
+      declaredValue: amount(raw?.DeclaredValue),
+      codAmount: amount(raw?.CODAmount),
+      invoiceAmount: amount(raw?.InvoiceAmount),
+      paymentMode: paymentMode(raw?.PaymentMode ?? raw?.OrderType)
+    },
+    returnFlow: !!raw?.ReverseInTransit,
+    raw
+  };
+};
+
+module.exports = {
+  id: 'delhivery',
+  name: 'Delhivery',
+  recognizes: (text) => /\bdelhivery\.com\b/i.test(String(text || '')),
+  extractAWB: delhivery.extractAWB,
+  fetchTracking: delhivery.getTracking,
+  fetchTrackingBatch: delhivery.getTrackingBatch,
+  normalize,
+  trackingUrl: (awb) => `https://www.delhivery.com/track/package/${encodeURIComponent(awb)}`,
+  // Optional capability: NDR instructions (lib/ndr.js)
+  ndr: {
+    submit: delhivery.submitNdrAction,
+    status: delhivery.getNdrRequestStatus
+  }
+};
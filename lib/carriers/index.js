@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * ---------------- Carriers ----------------
+ * Every courier sits behind the same adapter interface:
+ *
+ *   id, name                 "delhivery", "Delhivery"
+ *   recognizes(text)         true when a tracking-field value (usually a URL) belongs to this carrier
+ *   extractAWB(text)         the waybill in a tracking-field value, or null
+ *   fetchTracking(awb)       raw payload, or null when the carrier has no such shipment; throws when the lookup fails
+ *   fetchTrackingBatch(awbs) Map<awb, raw payload | Error>: the Error of a failed lookup, no entry for an unknown AWB
+ *   normalize(raw)           the common shipment model below
+ *   ndr?                     { submit(awb, act, date), status(requestId) } when the carrier takes NDR instructions
+ *   trackingUrl?(awb)        public tracking page, linked from status comments
+ *
+ * Common shipment model (what rules, planning, SLA checks and the timeline read):
+ *
+ *   { carrier, awb, reference,
+ *     status: { text, type, code, at, location, instructions, leg, final },
+ *     scans:  [{ at, statusAt, text, type, code, location, instructions, leg, final }],   // oldest first
+ *     dates:  { pickedUp, destinationReceived, promised, expected, delivered, returned, rtoStarted },
+ *     charges: { chargedWeight, declaredValue, codAmount, invoiceAmount, paymentMode },
+ *     returnFlow,   // carrier says the shipment is on its way back
+ *     raw }         // the carrier payload, for archives and debugging
+ *
+ * Timestamps are ISO-8601 with an offset (adapters add the carrier's zone when it sends none; see lib/time.js).
+ * `text` is the carrier's own status name (the key into the rules' per-carrier statusMap),
+ * `leg` is 'forward' | 'return' | null and `final` marks a delivery scan on either leg.
+ * `charges` are numbers (chargedWeight in grams, amounts in the shipment's currency) or null when the
+ * carrier sends none; paymentMode is 'COD', 'Prepaid' or the carrier's own name for anything else.
+ *
+ * The carrier for an issue comes from CARRIER_FIELD when set, else from the tracking value
+ * (recognizes), else DEFAULT_CARRIER.
+ */
+const CARRIERS = new Map();
+
+const registerCarrier = (adapter) => {
+  for (const k of ['id', 'name', 'recognizes', 'extractAWB', 'fetchTracking', 'fetchTrackingBatch', 'normalize']) {
+    if (!adapter?.[k]) throw new Error(`Carrier adapter ${adapter?.id || '?'} is missing "${k}"`);
+  }
+  CARRIERS.set(adapter.id, adapter);
+  return adapter;
+};
+
+registerCarrier(require('./delhivery'));
+
+const getCarrier = (id) => {
+  const adapter = CARRIERS.get(String(id || '').toLowerCase());
+  if (!adapter) throw new Error(`Unknown carrier "${id}" (known: ${[...CARRIERS.keys()].join(', ')})`);
+  return adapter;
+};
+
+const carrierByName = (name) => {
+  const n = String(name || '').trim().toLowerCase();
+  return [...CARRIERS.values()].find(c => c.id === n || c.name.toLowerCase() === n) || null;
+};
+
+/**
+ * { carrier, awb } for a Jira issue, or { carrier, awb: null } when no waybill could be read.
+ * carrier is null when CARRIER_FIELD names a courier we have no adapter for.
+ */
+const resolveShipmentRef = (issue) => {
+  const text = issue.fields?.[config.TRACKING_FIELD];
+  const chosen = config.CARRIER_FIELD && issue.fields?.[config.CARRIER_FIELD];
+  let adapter;
+  if (chosen) {
+    adapter = carrierByName(chosen.value ?? chosen.name ?? chosen);
+    if (!adapter) return { carrier: null, awb: null, reason: `no adapter for carrier "${chosen.value ?? chosen.name ?? chosen}"` };
+  } else {
+    adapter = [...CARRIERS.values()].find(c => c.recognizes(text)) || getCarrier(config.DEFAULT_CARRIER);
+  }
+  return { carrier: adapter.id, awb: typeof text === 'string' ? adapter.extractAWB(text) : null };
+};
+
+const refKey = (carrier, awb) => `${carrier}:${awb}`;
+
+/**
+ * Batched lookups grouped by carrier. Returns Map<"carrier:awb", normalized shipment | Error>;
+ * an Error means the lookup failed, a missing key that the carrier does not know the AWB.
+ */
+const fetchShipments = async (refs) => {
+  const byCarrier = new Map();
+  for (const { carrier, awb } of refs) {
+    if (!byCarrier.has(carrier)) byCarrier.set(carrier, []);
+    byCarrier.get(carrier).push(awb);
+  }
+
+  const out = new Map();
+  for (const [carrier, awbs] of byCarrier) {
+    const adapter = getCarrier(carrier);
+    const rawByAwb = await adapter.fetchTrackingBatch(awbs);
+    for (const [awb, raw] of rawByAwb) out.set(refKey(carrier, awb), raw instanceof Error ? raw : adapter.normalize(raw));
+  }
+  return out;
+};
+
+const fetchShipment = async (carrier, awb) => {
+  const adapter = getCarrier(carrier);
+  const raw = await adapter.fetchTracking(awb);
+  return raw ? adapter.normalize(raw) : null;
+};
+
+/**
+ * Raw payloads for `node replay.js`. Delhivery keeps the historical layout (<awb>.json holding
+ * the Shipment); other carriers are wrapped as { carrier, awb, raw }.
+ */
+const archivePayloads = (shipments) => {
+  if (!config.PAYLOAD_ARCHIVE_DIR) return;
+  try {
+    fs.mkdirSync(config.PAYLOAD_ARCHIVE_DIR, { recursive: true });
+    const found = [...shipments.values()].filter(t => !(t instanceof Error));
+    for (const t of found) {
+      const name = t.carrier === 'delhivery' ? `${t.awb}.json` : `${t.carrier}-${t.awb}.json`;
+      const body = t.carrier === 'delhivery' ? t.raw : { carrier: t.carrier, awb: t.awb, raw: t.raw };
+      fs.writeFileSync(path.join(config.PAYLOAD_ARCHIVE_DIR, name), JSON.stringify(body, null, 2));
+    }
+    console.log(`🗄️ Archived ${found.length} payload(s) to ${config.PAYLOAD_ARCHIVE_DIR}`);
+  } catch (err) {
+    console.warn(`⚠️ Could not archive payloads to ${config.PAYLOAD_ARCHIVE_DIR}:`, err.message);
+  }
+};
+
+// Normalizes a saved payload: { carrier, raw } wrappers, or a bare Delhivery Shipment
+const normalizeArchived = (data) =>
+  data?.carrier && data.raw ? getCarrier(data.carrier).normalize(data.raw) : getCarrier('delhivery').normalize(data);
+
+module.exports = {
+  CARRIERS,
+  registerCarrier,
+  getCarrier,
+  resolveShipmentRef,
+  refKey,
+  fetchShipments,
+  fetchShipment,
+  archivePayloads,
+  normalizeArchived
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+/**
+ * ---------------- Charges ----------------
+ * The carrier's commercial data (the model's `charges`), for finance to reconcile against
+ * carrier invoices:
+ *
+ *   CHARGED_WEIGHT_FIELD, DECLARED_VALUE_FIELD, COD_AMOUNT_FIELD, INVOICE_AMOUNT_FIELD, PAYMENT_MODE_FIELD
+ *     optional fields kept equal to the carrier's values (planned with the other field updates)
+ *
+ * and two checks against what the issue says the order was:
+ *
+ *   weight  charged weight differs from BOOKED_WEIGHT_FIELD (grams) by more than WEIGHT_TOLERANCE_PCT
+ *   cod     a COD shipment's amount differs from ORDER_VALUE_FIELD by more than COD_TOLERANCE
+ *
+ * A discrepancy gets its label and one comment, like the SLA flags (the label is what keeps it to
+ * one). Every discrepancy a run sees, new or already labelled, goes to DISCREPANCY_CSV_FILE.
+ */
+const CHARGE_FIELDS = [
+  ['CHARGED_WEIGHT_FIELD', 'chargedWeight'],
+  ['DECLARED_VALUE_FIELD', 'declaredValue'],
+  ['COD_AMOUNT_FIELD', 'codAmount'],
+  ['INVOICE_AMOUNT_FIELD', 'invoiceAmount'],
+  ['PAYMENT_MODE_FIELD', 'paymentMode']
+];
+
+const toNumber = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Field updates for charges the issue does not hold yet (or holds a different value for)
+const buildChargeUpdates = (issue, tracking) => {
+  const out = {};
+  const charges = tracking?.charges || {};
+  for (const [key, name] of CHARGE_FIELDS) {
+    const field = config[key];
+    const value = charges[name];
+    if (!field || value === null || value === undefined) continue;
+    const current = issue.fields?.[field];
+    const same = typeof value === 'number' ? toNumber(current) === value : String(current ?? '') === value;
+    if (!same) out[field] = value;
+  }
+  return out;
+};
+
+const isCod = (charges) => charges.paymentMode === 'COD' || (charges.paymentMode == null && charges.codAmount > 0);
+
+/**
+ * Returns [{ check, label, expected, actual, difference, message }] for the checks that fail.
+ * A check is skipped when either side is missing.
+ */
+const detectDiscrepancies = (issue, tracking) => {
+  const charges = tracking?.charges || {};
+  const fields = issue.fields || {};
+  const out = [];
+
+  const booked = config.BOOKED_WEIGHT_FIELD ? toNumber(fields[config.BOOKED_WEIGHT_FIELD]) : null;
+  const charged = charges.chargedWeight;
+  if (booked && charged !== null && charged !== undefined) {
+    const pct = Math.abs(charged - booked) / booked * 100;
+    if (pct > config.WEIGHT_TOLERANCE_PCT) {
+      out.push({
+        check: 'weight', label: config.WEIGHT_DISCREPANCY_LABEL, expected: booked, actual: charged, difference: charged - booked,
+        message: `Charged weight ${charged} g vs booked ${booked} g (${charged > booked ? '+' : '-'}${pct.toFixed(1)}%, tolerance ${config.WEIGHT_TOLERANCE_PCT}%).`
+      });
+    }
+  }
+
+  const orderValue = config.ORDER_VALUE_FIELD ? toNumber(fields[config.ORDER_VALUE_FIELD]) : null;
+  const cod = charges.codAmount;
+  if (orderValue !== null && cod !== null && cod !== undefined && isCod(charges)) {
+    const difference = round2(cod - orderValue);
+    if (Math.abs(difference) > config.COD_TOLERANCE) {
+      out.push({
+        check: 'cod', label: config.COD_MISMATCH_LABEL, expected: orderValue, actual: cod, difference,
+        message: `COD amount ${cod} vs order value ${orderValue} (difference ${difference}).`
+      });
+    }
+  }
+  return out;
+};
+
+const buildDiscrepancyComment = (awb, discrepancies, carrierName = 'Delhivery') =>
+  `[Charges] ${carrierName}'s charges for AWB ${awb} do not match the order:\n` +
+  discrepancies.map(d => `• ${d.message}`).join('\n') +
+  '\nPlease check them against the carrier invoice.';
+
+/**
+ * ---------------- CSV export ----------------
+ * One line per discrepancy in the run report (rows carry them as `discrepancies`).
+ */
+const CSV_COLUMNS = ['run_started_at', 'project', 'issue', 'awb', 'carrier', 'check', 'expected', 'actual', 'difference', 'outcome'];
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const discrepancyCsv = (report) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of report.issues) {
+    for (const d of row.discrepancies || []) {
+      lines.push([report.startedAt, report.project, row.key, row.awb, row.carrier, d.check, d.expected, d.actual, d.difference, row.outcome]
+        .map(csvCell).join(','));
+    }
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Written every run, also when there is nothing to reconcile (a header-only file)
+const writeDiscrepancyCsv = (file, report) => {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, discrepancyCsv(report));
+  const count = report.issues.reduce((n, r) => n + (r.discrepancies?.length || 0), 0);
+  console.log(`💰 ${count} charge discrepancy(ies) written to ${file}`);
+};
+
+module.exports = {
+  buildChargeUpdates,
+  detectDiscrepancies,
+  buildDiscrepancyComment,
+  discrepancyCsv,
+  writeDiscrepancyCsv
+};
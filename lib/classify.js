@@ -0,0 +1,49 @@
+const { config } = require('./config');
+const { loadRules, evaluateRules, hasRecentRTScan, hasTerminalRTO } = require('./rules');
+
+/**
+ * ---------------- Rules ----------------
+ * Loaded from RULES_FILE on first use; throws with the validation report if the file is invalid.
+ */
+let RULES = null;
+
+const getRules = () => {
+  if (!RULES) {
+    RULES = loadRules(config.RULES_FILE);
+    console.log(`📐 Loaded ${RULES.rules.length} status rules (revision ${RULES.revision}) from ${config.RULES_FILE}`);
+    for (const w of RULES.warnings) console.warn(`⚠️ [rules] ${w}`);
+  }
+  return RULES;
+};
+
+// Swap the active ruleset (tests, replay)
+const setRules = (ruleset) => { RULES = ruleset; };
+
+/**
+ * ---------------- interpretStatus ----------------
+ * Ordered rules from RULES_FILE (terminal RTO → return after delivery → delivered → return leg →
+ * instruction heuristics → statusMap fallback). Delivered must outrank earlier RTO-in-transit
+ * signals, but not return scans dated after the delivery; the rule priorities encode both.
+ */
+const classify = (t) => evaluateRules(getRules(), t);
+
+const interpretStatus = (t) => classify(t).status;
+
+// Earliest scan whose instructions read as a verified cancellation (a scan of the shipment model)
+const findVerifiedCancellation = (t) => {
+  const scans = Array.isArray(t?.scans) ? t.scans : [];
+  const matches = scans
+    .filter(sc => getRules().verifiedCancellationRe.test(String(sc.instructions || '')))
+    .sort((a, b) => new Date(a.statusAt || a.at || 0) - new Date(b.statusAt || b.at || 0));
+  return matches[0] || null;
+};
+
+module.exports = {
+  getRules,
+  setRules,
+  classify,
+  interpretStatus,
+  findVerifiedCancellation,
+  hasRecentRTScan,
+  hasTerminalRTO
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { nameNorm } = require('./util');
+const { inBusinessTz, toYmd } = require('./time');
+const { hasRecentRTScan } = require('./classify');
+const { CARRIERS } = require('./carriers');
+
+/**
+ * ---------------- Status comments ----------------
+ * The comment posted with a status change comes from a template per Jira status
+ * (config/comment-templates.json, COMMENT_TEMPLATES_FILE):
+ *
+ *   { "version": 1, "templates": { "<Jira status>": ["line", ...] } }
+ *
+ * Lines may use {{variable}} (see VARIABLES); a [[...]] section is dropped unless every variable
+ * in it has a value, and a line left empty is dropped. {{awbLink}} renders as a link.
+ *
+ * Each comment carries an event key, "<awb>:<scan id>:<status>", where the scan id is a digest of
+ * the carrier's latest scan. updateJira skips keys already posted on the issue (see
+ * postEventComment in lib/jira.js), so a repeated run never comments the same event twice.
+ */
+const COMMENT_TEMPLATES_VERSION = 1;
+const VARIABLES = ['awb', 'awbLink', 'carrier', 'status', 'carrierStatus', 'scanTime', 'location', 'instruction', 'pdd', 'signals'];
+const VARIABLE_RE = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+const SECTION_RE = /\[\[(.*?)\]\]/g;
+
+// Template lines may only use the variables given (lib/notify.js adds its own)
+const variableProblems = (where, lines, variables = VARIABLES) => lines.flatMap(line =>
+  [...line.matchAll(VARIABLE_RE)]
+    .filter(([, name]) => !variables.includes(name))
+    .map(([, name]) => `${where}: unknown variable {{${name}}} (one of ${variables.join(', ')})`));
+
+const validateTemplatesDoc = (doc) => {
+  const errors = [];
+  if (doc?.version !== COMMENT_TEMPLATES_VERSION) errors.push(`"version" must be ${COMMENT_TEMPLATES_VERSION}`);
+  if (!doc?.templates || typeof doc.templates !== 'object' || Array.isArray(doc.templates)) {
+    errors.push('"templates" must map Jira statuses to lists of lines');
+    return errors;
+  }
+  for (const [status, lines] of Object.entries(doc.templates)) {
+    if (!Array.isArray(lines) || !lines.length || !lines.every(l => typeof l === 'string')) {
+      errors.push(`templates["${status}"] must be a non-empty list of strings`);
+      continue;
+    }
+    errors.push(...variableProblems(`templates["${status}"]`, lines));
+  }
+  return errors;
+};
+
+const loadCommentTemplates = (file) => {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read comment templates from ${file}: ${err.message}`);
+  }
+  const errors = validateTemplatesDoc(doc);
+  if (errors.length) throw new Error(`Invalid comment templates in ${file}:\n  - ${errors.join('\n  - ')}`);
+  return new Map(Object.entries(doc.templates).map(([status, lines]) => [nameNorm(status), lines]));
+};
+
+let TEMPLATES = null;
+
+const getCommentTemplates = () => {
+  if (!TEMPLATES) TEMPLATES = loadCommentTemplates(config.COMMENT_TEMPLATES_FILE);
+  return TEMPLATES;
+};
+
+// Swap the active templates (tests)
+const setCommentTemplates = (templates) => { TEMPLATES = templates; };
+
+// The carrier's latest event: the status line, else the newest scan
+const latestEvent = (t) => {
+  if (t?.status?.at) return t.status;
+  const scans = Array.isArray(t?.scans) ? t.scans : [];
+  return scans[scans.length - 1] || t?.status || {};
+};
+
+const scanId = (t) => {
+  const e = latestEvent(t);
+  return crypto.createHash('sha1').update(JSON.stringify([e.at || e.statusAt, e.code, e.text, e.location])).digest('hex').slice(0, 12);
+};
+
+const commentEventKey = (t, status) => `${t.awb}:${scanId(t)}:${nameNorm(status)}`;
+
+const commentVariables = (t, status, { instruction = null } = {}) => {
+  const event = latestEvent(t);
+  const when = inBusinessTz(event.at || event.statusAt);
+  const adapter = CARRIERS.get(t.carrier);
+  return {
+    awb: t.awb,
+    awbLink: adapter?.trackingUrl?.(t.awb) || null,
+    carrier: adapter?.name || t.carrier || null,
+    status,
+    carrierStatus: t.status?.text || null,
+    scanTime: when ? when.format('DD MMM YYYY, HH:mm (Z)') : null,
+    location: event.location || t.status?.location || null,
+    instruction: instruction || t.status?.instructions || null,
+    pdd: toYmd(t.dates?.expected || t.dates?.promised),
+    signals: `StatusType=${t.status?.type || '?'}, ReverseInTransit=${!!t.returnFlow}, ` +
+      `RTOStartedDate=${t.dates?.rtoStarted || 'N/A'}, hasRTScan=${hasRecentRTScan(t)}`
+  };
+};
+
+const lineText = (nodes) => nodes.map(n => n.text).join('');
+
+// One template line → inline ADF nodes (variables filled in, empty sections dropped)
+const renderLine = (line, vars) => {
+  const filled = line.replace(SECTION_RE, (_, inner) =>
+    [...inner.matchAll(VARIABLE_RE)].every(([, name]) => vars[name]) ? inner : '');
+  const nodes = [];
+  let last = 0;
+  for (const m of filled.matchAll(VARIABLE_RE)) {
+    if (m.index > last) nodes.push({ type: 'text', text: filled.slice(last, m.index) });
+    const value = vars[m[1]];
+    if (value && m[1] === 'awbLink') nodes.push({ type: 'text', text: value, marks: [{ type: 'link', attrs: { href: value } }] });
+    else if (value) nodes.push({ type: 'text', text: String(value) });
+    last = m.index + m[0].length;
+  }
+  if (last < filled.length) nodes.push({ type: 'text', text: filled.slice(last) });
+  return lineText(nodes).trim() ? nodes : [];
+};
+
+// Template lines → plain text, for channels without rich text
+const renderText = (lines, vars) => lines.map(line => lineText(renderLine(line, vars))).filter(Boolean).join('\n');
+
+/**
+ * The status comment for a move to `status`, or null when the status has no template.
+ * Resolves to { key, text, adf }: the event key, a plain rendering (dry-run, logs) and the ADF body.
+ */
+const buildStatusComment = (t, status, extra = {}) => {
+  const lines = getCommentTemplates().get(nameNorm(status));
+  if (!lines) return null;
+  const vars = commentVariables(t, status, extra);
+  const rendered = lines.map(line => renderLine(line, vars)).filter(nodes => nodes.length);
+  const content = rendered.flatMap((nodes, i) => [...(i ? [{ type: 'hardBreak' }] : []), ...nodes]);
+  return {
+    key: commentEventKey(t, status),
+    text: rendered.map(lineText).join('\n'),
+    adf: { type: 'doc', version: 1, content: [{ type: 'paragraph', content }] }
+  };
+};
+
+// The same comment with a note paragraph in front; a separate event, so the plain comment can follow later
+const withNote = (comment, note) => ({
+  key: `${comment.key}:note`,
+  text: `${note} ${comment.text}`,
+  adf: { ...comment.adf, content: [{ type: 'paragraph', content: [{ type: 'text', text: note }] }, ...comment.adf.content] }
+});
+
+module.exports = {
+  VARIABLES,
+  variableProblems,
+  renderText,
+  loadCommentTemplates,
+  getCommentTemplates,
+  setCommentTemplates,
+  scanId,
+  commentEventKey,
+  commentVariables,
+  buildStatusComment,
+  withNote
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { getIssueProperty, setIssueProperty, jira } = require('./jira');
+
+/**
+ * ---------------- Classification decisions ----------------
+ * Why an issue got its status: the decision from evaluateRules (lib/rules.js), i.e. the status,
+ * the rule id, what it matched ({ field, text } or { scan }), its confidence and the rules
+ * revision. Kept on the issue so agents can see it (DECISION_MODE):
+ *
+ *   property  the issue property below (REST API, automation rules)
+ *   field     the property, plus a one-line summary in the text field DECISION_FIELD
+ *   off       not recorded
+ *
+ * Recorded once the lifecycle has judged the move, so a blocked move says so (`blocked`, the
+ * reason). Only rewritten when the decision changes: the state store keeps the last recorded
+ * stamp, so an unchanged decision costs no Jira call; without one the issue property is compared.
+ */
+const DECISION_PROPERTY = 'delhivery-sync.decision';
+const FIELD_MAX_LENGTH = 255; // single-line text fields
+
+const describeMatch = (matched) => {
+  if (!matched) return '-';
+  if (matched.scan) {
+    const { at, text, instructions, location } = matched.scan;
+    return `scan at ${at || '?'} "${text || instructions || ''}"${location ? ` (${location})` : ''}`;
+  }
+  return `${matched.field} = "${matched.text}"`;
+};
+
+// e.g. `DELIVERED by delivered-date (high confidence): dates.delivered = "2024-05-03T14:10:00" · rules 2026-10-19.2`
+const describeDecision = (d) =>
+  `${d.status} by ${d.ruleId} (${d.confidence} confidence): ${describeMatch(d.matched)} · rules ${d.rulesRevision}` +
+  (d.blocked ? ` · not applied: ${d.blocked}` : '');
+
+const decisionDigest = (d) =>
+  crypto.createHash('sha1').update(JSON.stringify([d.status, d.ruleId, d.matched, d.confidence, d.rulesRevision, d.blocked || null])).digest('hex');
+
+// What the state store keeps to tell whether a decision is already on the issue
+const decisionStamp = (d) => `${config.DECISION_MODE}:${decisionDigest(d)}`;
+
+/**
+ * Records the decision on the issue unless `knownStamp` (from the state store) shows it is there
+ * already. Resolves to 'recorded', 'unchanged' or 'off'; throws on Jira errors (the caller logs them).
+ */
+const recordDecision = async (issueKey, decision, knownStamp = null) => {
+  if (config.DECISION_MODE === 'off' || !decision) return 'off';
+  if (knownStamp === decisionStamp(decision)) return 'unchanged';
+  const digest = decisionDigest(decision);
+  const saved = await getIssueProperty(issueKey, DECISION_PROPERTY);
+  if (saved?.digest === digest && saved.mode === config.DECISION_MODE) return 'unchanged';
+
+  const summary = describeDecision(decision);
+  if (config.DRY_RUN) {
+    console.log(`🧪 [dry-run] ${issueKey}: would record the decision ${summary}`);
+    return 'recorded';
+  }
+
+  if (config.DECISION_MODE === 'field') {
+    await jira.put(`/rest/api/3/issue/${issueKey}`, { fields: { [config.DECISION_FIELD]: summary.slice(0, FIELD_MAX_LENGTH) } });
+  }
+  await setIssueProperty(issueKey, DECISION_PROPERTY, {
+    ...decision,
+    mode: config.DECISION_MODE,
+    digest,
+    decidedAt: new Date().toISOString()
+  });
+  console.log(`🧭 Decision recorded for ${issueKey}: ${summary}`);
+  return 'recorded';
+};
+
+module.exports = { DECISION_PROPERTY, describeMatch, describeDecision, decisionStamp, recordDecision };
@@ -0,0 +1,119 @@
+const { config } = require('./config');
+const { createHttpClient } = require('./http');
+const { chunk, mapWithConcurrency } = require('./util');
+
+/**
+ * ---------------- AWB extraction ----------------
+ */
+const extractAWB = (v) => {
+  if (!v || typeof v !== 'string') return null;
+  const s = v.trim();
+  const patterns = [
+    /(?:\bawb=|\bwaybill=)(\d{10,14})\b/i,
+    /\/p\/(\d{10,14})\b/i,
+    /\/package\/(\d{10,14})\b/i
+  ];
+  for (const re of patterns) {
+    const m = s.match(re);
+    if (m) return m[1];
+  }
+  const justDigits = s.match(/\b(\d{10,14})\b/);
+  return justDigits ? justDigits[1] : null;
+};
+
+/**
+ * ---------------- Delhivery ----------------
+ */
+const delhivery = createHttpClient({
+  name: 'delhivery',
+  baseURL: () => config.DELHIVERY_BASE_URL,
+  headers: () => ({ Authorization: `Token ${config.DELHIVERY_TOKEN}` }),
+  ratePerSecond: () => config.DELHIVERY_RATE_PER_SEC
+});
+
+const fetchShipments = async (awbs) => {
+  const res = await delhivery.get(`/api/v1/packages/json/?waybill=${awbs.join(',')}`);
+  return (res.data?.ShipmentData || []).map(x => x?.Shipment).filter(Boolean);
+};
+
+// null when Delhivery has no such shipment; throws when the lookup itself failed (after the client's retries)
+const getTracking = async (awb) => {
+  const [shipment] = await fetchShipments([awb]);
+  return shipment || null;
+};
+
+/**
+ * Batched lookup: one call per DELHIVERY_BATCH_SIZE waybills, at most DELHIVERY_CONCURRENCY in flight.
+ * Shipments are matched back by their AWB. Anything a batch did not return (unknown AWB,
+ * partial response, failed batch) falls back to getTracking(awb), one waybill at a time.
+ * Returns Map<awb, Shipment | Error>: an Error when the single lookup failed too, no entry
+ * when Delhivery confirmed it has no such shipment.
+ */
+const getTrackingBatch = async (awbs) => {
+  const unique = [...new Set(awbs.filter(Boolean))];
+  const found = new Map();
+
+  await mapWithConcurrency(chunk(unique, config.DELHIVERY_BATCH_SIZE), config.DELHIVERY_CONCURRENCY, async (batch) => {
+    let shipments = [];
+    try {
+      shipments = await fetchShipments(batch);
+    } catch (err) {
+      console.warn(`⚠️ Batch of ${batch.length} AWB(s) failed:`, err.response?.status || err.message);
+    }
+    for (const shipment of shipments) {
+      const awb = String(shipment.AWB || '').trim();
+      if (batch.includes(awb)) found.set(awb, shipment);
+    }
+  });
+
+  const missing = unique.filter(awb => !found.has(awb));
+  if (missing.length) {
+    console.log(`🔁 ${missing.length} AWB(s) missing from batch responses; fetching individually...`);
+    await mapWithConcurrency(missing, config.DELHIVERY_CONCURRENCY, async (awb) => {
+      try {
+        const shipment = await getTracking(awb);
+        if (shipment) found.set(awb, shipment);
+      } catch (err) {
+        console.error(`❌ Tracking lookup failed for AWB ${awb}:`, err.response?.data || err.message);
+        found.set(awb, err);
+      }
+    });
+  }
+  return found;
+};
+
+/**
+ * ---------------- NDR actions ----------------
+ * POST /api/p/update queues an instruction for a failed delivery; the returned request id is
+ * polled via the bulk UPL status endpoint. Not idempotent: a POST is never re-sent after a 5xx.
+ *
+ *   act   RE-ATTEMPT | DEFER_DLV (with action_data.deferred_date) | RTO
+ */
+const submitNdrAction = async (awb, act, deferredDate = null) => {
+  const item = { waybill: awb, act, ...(deferredDate ? { action_data: { deferred_date: deferredDate } } : {}) };
+  const { data } = await delhivery.post('/api/p/update', { data: [item] });
+  const requestId = data?.request_id || data?.requestId || data?.RequestId || null;
+  if (!requestId) throw new Error(`Delhivery did not return a request id: ${JSON.stringify(data).slice(0, 200)}`);
+  return { requestId: String(requestId), response: data };
+};
+
+// { status, final, message } for a submitted request; anything not yet processed is not final
+const getNdrRequestStatus = async (requestId) => {
+  const { data } = await delhivery.get(`/api/cmu/get_bulk_upl/${encodeURIComponent(requestId)}?verbose=true`);
+  const first = Array.isArray(data?.result) ? data.result[0] : null;
+  const status = String(first?.status ?? data?.status ?? 'Unknown');
+  return {
+    status,
+    final: !/pending|process|queued|unknown/i.test(status),
+    message: first?.remarks || first?.message || data?.remark || data?.message || null
+  };
+};
+
+module.exports = {
+  extractAWB,
+  fetchShipments,
+  getTracking,
+  getTrackingBatch,
+  submitNdrAction,
+  getNdrRequestStatus
+};
@@ -0,0 +1,70 @@
+const { config } = require('./config');
+const { nameNorm } = require('./util');
+const { statusAliases, findTransitionByName, getTransitions, assigneeFor } = require('./jira');
+const { withNote } = require('./comments');
+
+/**
+ * ---------------- Dry run ----------------
+ */
+const fieldLabels = () => ({
+  [config.DISPATCH_DATE_FIELD]: 'Dispatch Date',
+  [config.DELIVERY_DATE_FIELD]: 'Delivery Date',
+  [config.RTO_DELIVERED_DATE_FIELD]: 'RTO Delivered Date',
+  [config.PROMISED_DELIVERY_DATE_FIELD]: 'Promised Delivery Date',
+  [config.LATEST_PDD_FIELD]: 'Latest PDD',
+  [config.RTO_REASON_FIELD]: 'RTO Reason',
+  [config.RTO_INITIATED_DATE_FIELD]: 'RTO Initiated Date',
+  [config.OUT_FOR_DELIVERY_DATE_FIELD]: 'Out for Delivery Date',
+  [config.LATEST_INSTRUCTION_FIELD]: 'Latest Instruction'
+});
+
+const showValue = (v) => (v === undefined || v === null || v === '' ? '(empty)' : JSON.stringify(v));
+
+/**
+ * Prints what run() would do for one issue (current → planned) without writing anything.
+ * Only reads from Jira (available transitions), mirroring updateJira's branches.
+ * Returns true when the issue would be changed.
+ */
+const printDryRunDiff = async (issue, awb, currentStatus, updatedStatus, customFields, comment, workflow = null) => {
+  const lines = [];
+  const statusChanges = !(currentStatus && nameNorm(currentStatus) === nameNorm(updatedStatus));
+
+  if (statusChanges) {
+    let transition = null;
+    let route = null;
+    try {
+      const transitions = await getTransitions(issue.key);
+      workflow?.learn(currentStatus, transitions);
+      transition = findTransitionByName(transitions, updatedStatus);
+      if (!transition && workflow) route = workflow.route(currentStatus, statusAliases(updatedStatus));
+    } catch (err) {
+      console.warn(`⚠️ [dry-run] Could not read transitions for ${issue.key}:`, err.response?.data || err.message);
+    }
+    const reachable = !!(transition || route);
+    lines.push(`status: ${showValue(currentStatus)} → ${showValue(updatedStatus)}` +
+      (transition ? ` (transition "${transition.name}")`
+        : route ? ` (via ${route.slice(0, -1).map(s => `"${s}"`).join(' → ')})`
+          : ' (no matching transition; fields-only)'));
+    if (reachable && assigneeFor(updatedStatus)) {
+      lines.push(`assignee: → ${assigneeFor(updatedStatus)}`);
+    }
+    if (comment) {
+      const text = reachable ? comment.text : withNote(comment, `[Note] Intended status "${updatedStatus}" but no transition was available.`).text;
+      lines.push(`comment: + ${JSON.stringify(text)}`);
+    }
+  } else {
+    lines.push(`status: ${showValue(currentStatus)} (unchanged)`);
+  }
+
+  const labels = fieldLabels();
+  for (const [field, planned] of Object.entries(customFields)) {
+    lines.push(`${labels[field] || field} [${field}]: ${showValue(issue.fields?.[field])} → ${showValue(planned)}`);
+  }
+
+  const changes = statusChanges || Object.keys(customFields).length > 0;
+  console.log(`🧪 [dry-run] ${issue.key} awb=${awb}${changes ? '' : ' — no changes'}`);
+  for (const line of lines) console.log(`   ${line}`);
+  return changes;
+};
+
+module.exports = { printDryRunDiff };
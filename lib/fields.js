@@ -0,0 +1,159 @@
+const { config } = require('./config');
+const { jira, jiraSearchJQL } = require('./jira');
+const { nameNorm, describeError } = require('./util');
+
+/**
+ * ---------------- Jira fields ----------------
+ * Custom field ids differ between Jira sites, so every field the poller uses is looked up by its
+ * display name in GET /rest/api/3/field; setting the env var pins the id instead. Fields the
+ * poller has always written fall back to their original ids when no field has the name, so
+ * existing sites keep syncing without new env vars. Before any
+ * issue is touched, prepareJiraFields() also checks that each field has a type we can write and
+ * is on the project's edit screen, and stops with one report of every problem found.
+ */
+const DATE_TYPES = ['date', 'datetime'];
+
+// key: config property · env: pins the id · name: looked up when the id is not pinned (fields
+// without a name are opt-in) · legacyId: used when the name is not found · writes: false for
+// fields the poller only reads
+const FIELD_SPECS = [
+  { key: 'TRACKING_FIELD', env: 'TRACKING_FIELD', name: 'Tracking Link', types: ['string'], writes: false },
+  { key: 'CARRIER_FIELD', env: 'CARRIER_FIELD', types: ['option', 'string'], writes: false },
+  { key: 'DISPATCH_DATE_FIELD', env: 'CUSTOMFIELD_DISPATCH_DATE', name: 'Dispatch Date', types: DATE_TYPES },
+  { key: 'DELIVERY_DATE_FIELD', env: 'CUSTOMFIELD_DELIVERY_DATE', name: 'Delivery Date', types: DATE_TYPES },
+  { key: 'RTO_DELIVERED_DATE_FIELD', env: 'CUSTOMFIELD_RTO_DATE', name: 'RTO Delivered Date', types: DATE_TYPES },
+  { key: 'LATEST_INSTRUCTION_FIELD', env: 'CUSTOMFIELD_LATEST_INSTRUCTION', name: 'Latest Delhivery Comments', legacyId: 'customfield_10288', types: ['string'] },
+  { key: 'OUT_FOR_DELIVERY_DATE_FIELD', env: 'CUSTOMFIELD_OUT_FOR_DELIVERY_DATE', name: 'Out for Delivery Date', legacyId: 'customfield_10321', types: DATE_TYPES },
+  { key: 'PROMISED_DELIVERY_DATE_FIELD', env: 'CUSTOMFIELD_PROMISED_DELIVERY_DATE', name: 'Promised Delivery Date', legacyId: 'customfield_10354', types: DATE_TYPES },
+  { key: 'LATEST_PDD_FIELD', env: 'CUSTOMFIELD_LATEST_PDD', name: 'Latest PDD', legacyId: 'customfield_10357', types: DATE_TYPES },
+  { key: 'RTO_REASON_FIELD', env: 'CUSTOMFIELD_RTO_REASON', name: 'RTO Reason', legacyId: 'customfield_10355', types: ['string'] },
+  { key: 'RTO_INITIATED_DATE_FIELD', env: 'CUSTOMFIELD_RTO_INITIATED_DATE', name: 'RTO Initiated Date', legacyId: 'customfield_10356', types: DATE_TYPES },
+  { key: 'SCAN_TIMELINE_FIELD', env: 'SCAN_TIMELINE_FIELD', types: ['string'], when: () => config.SCAN_TIMELINE_MODE === 'field' },
+  { key: 'DECISION_FIELD', env: 'DECISION_FIELD', types: ['string'], when: () => config.DECISION_MODE === 'field' },
+  { key: 'NDR_ACTION_FIELD', env: 'NDR_ACTION_FIELD', types: ['option', 'string'], writes: false },
+  { key: 'NDR_RESCHEDULE_DATE_FIELD', env: 'NDR_RESCHEDULE_DATE_FIELD', types: DATE_TYPES, writes: false },
+  { key: 'CHARGED_WEIGHT_FIELD', env: 'CHARGED_WEIGHT_FIELD', types: ['number'] },
+  { key: 'DECLARED_VALUE_FIELD', env: 'DECLARED_VALUE_FIELD', types: ['number'] },
+  { key: 'COD_AMOUNT_FIELD', env: 'COD_AMOUNT_FIELD', types: ['number'] },
+  { key: 'INVOICE_AMOUNT_FIELD', env: 'INVOICE_AMOUNT_FIELD', types: ['number'] },
+  { key: 'PAYMENT_MODE_FIELD', env: 'PAYMENT_MODE_FIELD', types: ['string'] },
+  { key: 'BOOKED_WEIGHT_FIELD', env: 'BOOKED_WEIGHT_FIELD', types: ['number'], writes: false },
+  { key: 'ORDER_VALUE_FIELD', env: 'ORDER_VALUE_FIELD', types: ['number'], writes: false },
+  { key: 'NOTIFY_PHONE_FIELD', env: 'NOTIFY_PHONE_FIELD', types: ['string'], writes: false },
+  { key: 'NOTIFY_EMAIL_FIELD', env: 'NOTIFY_EMAIL_FIELD', types: ['string'], writes: false },
+  { key: 'NOTIFY_NAME_FIELD', env: 'NOTIFY_NAME_FIELD', types: ['string', 'user'], writes: false }
+];
+
+const activeSpecs = () => FIELD_SPECS.filter(spec => (spec.when ? spec.when() : true) && (spec.name || config[spec.key]));
+
+const getFieldCatalog = async () => {
+  const { data } = await jira.get('/rest/api/3/field');
+  return data || [];
+};
+
+/**
+ * Fills unpinned config ids from the catalog by display name. Returns the problems found
+ * (unknown ids, missing or ambiguous names); resolved fields are written into `config`.
+ */
+const resolveFields = (catalog) => {
+  const byId = new Map(catalog.map(f => [f.id, f]));
+  const problems = [];
+  const found = [];
+  for (const spec of activeSpecs()) {
+    const pinned = config[spec.key];
+    if (pinned) {
+      if (!byId.has(pinned)) problems.push(`${spec.env}=${pinned} is not a field on this Jira site`);
+      continue;
+    }
+    const matches = catalog.filter(f => nameNorm(f.name) === nameNorm(spec.name));
+    if (matches.length === 1) {
+      config[spec.key] = matches[0].id;
+      found.push(`${spec.name} → ${matches[0].id}`);
+    } else if (!matches.length && byId.has(spec.legacyId)) {
+      config[spec.key] = spec.legacyId;
+      console.log(`🧩 No field named "${spec.name}"; using ${spec.legacyId} (${byId.get(spec.legacyId).name}) as before`);
+    } else if (!matches.length) {
+      problems.push(`no field named "${spec.name}"; create it or set ${spec.env} to its id`);
+    } else {
+      problems.push(`${matches.length} fields are named "${spec.name}" (${matches.map(f => f.id).join(', ')}); set ${spec.env} to the right one`);
+    }
+  }
+  if (found.length) console.log(`🧩 Jira fields found by name: ${found.join(', ')}`);
+  return problems;
+};
+
+/**
+ * Jira rejects a timestamp for a date picker, so DATETIME_FIELDS entries that are not datetime
+ * fields fall back to dates (with a warning). Run once before the first write.
+ */
+const checkDatetimeFields = async (catalog = null) => {
+  if (!config.DATETIME_FIELDS.length) return;
+  let types;
+  try {
+    types = new Map((catalog || await getFieldCatalog()).map(f => [f.id, f.schema?.type]));
+  } catch (err) {
+    console.warn('⚠️ Could not read Jira field types; using DATETIME_FIELDS as configured:', describeError(err));
+    return;
+  }
+  const dates = config.DATETIME_FIELDS.filter(id => types.get(id) !== 'datetime');
+  for (const id of dates) {
+    console.warn(`⚠️ ${id} is ${types.has(id) ? `a "${types.get(id)}" field` : 'not a Jira field'}, not a datetime; writing dates to it`);
+  }
+  config.DATETIME_FIELDS = config.DATETIME_FIELDS.filter(id => !dates.includes(id));
+};
+
+// Field types we cannot write sensibly (a datetime picker also has to be listed in DATETIME_FIELDS)
+const typeProblems = (catalog) => {
+  const byId = new Map(catalog.map(f => [f.id, f]));
+  const problems = [];
+  for (const spec of activeSpecs()) {
+    const field = byId.get(config[spec.key]);
+    if (!field) continue;
+    const type = field.schema?.type;
+    const label = `${field.name} (${field.id}, ${spec.env})`;
+    if (!spec.types.includes(type)) {
+      problems.push(`${label} is a "${type || 'unknown'}" field; expected ${spec.types.join(' or ')}`);
+    } else if (type === 'datetime' && spec.writes !== false && !config.DATETIME_FIELDS.includes(field.id)) {
+      problems.push(`${label} is a datetime field; add it to DATETIME_FIELDS`);
+    }
+  }
+  return problems;
+};
+
+// Fields the poller writes must be on the edit screen, checked on the project's newest issue
+const screenProblems = async () => {
+  const jql = `project = ${config.JIRA_PROJECT} ORDER BY created DESC`;
+  const sample = (await jiraSearchJQL({ jql, maxResults: 1 }))?.issues?.[0];
+  if (!sample) {
+    console.log(`ℹ️ No issues in ${config.JIRA_PROJECT} yet; skipping the edit screen check.`);
+    return [];
+  }
+  const { data } = await jira.get(`/rest/api/3/issue/${sample.key}/editmeta`);
+  const editable = new Set(Object.keys(data?.fields || {}));
+  return activeSpecs()
+    .filter(spec => spec.writes !== false && !editable.has(config[spec.key]))
+    .map(spec => `${config[spec.key]} (${spec.env}) is not on the edit screen of ${sample.key}; add it to the project's edit screen`);
+};
+
+/**
+ * Resolves, type-checks and screen-checks every field. Throws one error listing all problems,
+ * so a misconfigured site stops before the first issue instead of failing each one with a 400.
+ */
+const prepareJiraFields = async () => {
+  const catalog = await getFieldCatalog();
+  const problems = resolveFields(catalog);
+  await checkDatetimeFields(catalog);
+  problems.push(...typeProblems(catalog));
+  if (!problems.length) problems.push(...await screenProblems());
+  if (problems.length) {
+    throw new Error(`Jira field check failed:\n${problems.map(p => `  • ${p}`).join('\n')}`);
+  }
+};
+
+module.exports = {
+  FIELD_SPECS,
+  getFieldCatalog,
+  resolveFields,
+  checkDatetimeFields,
+  prepareJiraFields
+};
@@ -0,0 +1,102 @@
+const axios = require('axios');
+const { config } = require('./config');
+const { sleep } = require('./util');
+
+/**
+ * ---------------- HTTP client ----------------
+ * One client per service (Jira, Delhivery) with the same retry policy:
+ *   - retries 5xx, 429 and network errors; any other 4xx fails straight away
+ *   - waits for Retry-After (seconds or HTTP date) when the server sends one
+ *   - otherwise exponential backoff with jitter, capped at HTTP_MAX_DELAY_MS
+ *   - non-idempotent requests (POST unless `idempotent: true`) are only retried when the
+ *     server cannot have acted on them: a 429, or a connection that was never established.
+ *     A comment POST that timed out or got a 5xx is not re-sent, so it cannot be duplicated.
+ *   - `ratePerSecond` spaces requests (retries included) across every caller of the client,
+ *     so concurrent workers share one budget per service
+ *
+ * baseURL / headers / auth / ratePerSecond may be functions so they are read from config per request.
+ */
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+// Failures where the request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+const resolve = (v) => (typeof v === 'function' ? v() : v);
+
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+};
+
+const backoffDelay = (attempt, baseMs, maxMs) => {
+  const exp = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+};
+
+// Hands out start times at least 1000/rate ms apart; rate 0 (or unset) means no limit
+const createRateLimiter = (ratePerSecond, sleepFn = sleep) => {
+  let nextAt = 0;
+  return async () => {
+    const rate = Number(resolve(ratePerSecond)) || 0;
+    if (rate <= 0) return;
+    const now = Date.now();
+    const at = Math.max(now, nextAt);
+    nextAt = at + 1000 / rate;
+    if (at > now) await sleepFn(at - now);
+  };
+};
+
+const isRetryable = (err, idempotent) => {
+  const status = err.response?.status;
+  if (status) return idempotent ? RETRYABLE_STATUS(status) : status === 429;
+  if (idempotent) return true; // timeouts, resets, DNS…
+  return NOT_SENT_CODES.includes(err.code);
+};
+
+const createHttpClient = ({ name, baseURL = '', headers = {}, auth, ratePerSecond = 0, sleepFn = sleep } = {}) => {
+  const throttle = createRateLimiter(ratePerSecond, sleepFn);
+
+  const request = async (method, url, { data, params, idempotent, headers: extra } = {}) => {
+    const safe = idempotent ?? method !== 'post';
+    const retries = Math.max(0, config.HTTP_MAX_RETRIES);
+
+    for (let attempt = 1; ; attempt++) {
+      await throttle();
+      try {
+        return await axios.request({
+          method,
+          url: `${resolve(baseURL)}${url}`,
+          data,
+          params,
+          auth: resolve(auth),
+          headers: { ...resolve(headers), ...extra },
+          timeout: config.HTTP_TIMEOUT_MS,
+          validateStatus: s => s >= 200 && s < 300
+        });
+      } catch (err) {
+        const status = err.response?.status;
+        if (attempt > retries || !isRetryable(err, safe)) throw err;
+
+        const retryAfter = parseRetryAfter(err.response?.headers?.['retry-after']);
+        const delay = retryAfter !== null
+          ? Math.min(retryAfter, config.HTTP_MAX_RETRY_AFTER_MS)
+          : backoffDelay(attempt, config.HTTP_BASE_DELAY_MS, config.HTTP_MAX_DELAY_MS);
+        console.warn(`⚠️ [${name}] ${method.toUpperCase()} ${url} → ${status || err.code || err.message}; ` +
+          `retry ${attempt}/${retries} in ${delay}ms${retryAfter !== null ? ' (Retry-After)' : ''}`);
+        await sleepFn(delay);
+      }
+    }
+  };
+
+  return {
+    request,
+    get: (url, opts) => request('get', url, opts),
+    post: (url, data, opts = {}) => request('post', url, { ...opts, data }),
+    put: (url, data, opts = {}) => request('put', url, { ...opts, data }),
+    delete: (url, opts) => request('delete', url, opts)
+  };
+};
+
+module.exports = { createHttpClient, createRateLimiter, parseRetryAfter, backoffDelay, isRetryable };
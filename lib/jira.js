@@ -0,0 +1,502 @@
+const dayjs = require('dayjs');
+const { config } = require('./config');
+const { createHttpClient } = require('./http');
+const { getRules } = require('./classify');
+const { nameNorm, toCfIdExpr, describeError } = require('./util');
+const { businessToday } = require('./time');
+const { withNote } = require('./comments');
+
+/**
+ * ---------------- Jira helpers ----------------
+ */
+const jiraBase = () => (config.JIRA_DOMAIN || '').replace(/\/+$/, '');
+const jiraAuth = () => ({ username: config.JIRA_EMAIL, password: config.JIRA_API_TOKEN });
+
+const jira = createHttpClient({
+  name: 'jira',
+  baseURL: jiraBase,
+  auth: jiraAuth,
+  ratePerSecond: () => config.JIRA_RATE_PER_SEC,
+  headers: {
+    'User-Agent': 'instasport-delhivery-jira-sync/1.3-fixed',
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+  }
+});
+
+// Fields the search must return for our logic
+const requiredFields = () => [
+  'status',
+  'labels',
+  config.TRACKING_FIELD,
+  config.CARRIER_FIELD,
+  config.PROMISED_DELIVERY_DATE_FIELD,
+  config.LATEST_PDD_FIELD,
+  config.DISPATCH_DATE_FIELD,
+  config.DELIVERY_DATE_FIELD,
+  config.RTO_DELIVERED_DATE_FIELD,
+  config.RTO_REASON_FIELD,
+  config.RTO_INITIATED_DATE_FIELD,
+  config.OUT_FOR_DELIVERY_DATE_FIELD,
+  config.LATEST_INSTRUCTION_FIELD,
+  config.NDR_ACTION_FIELD,
+  config.NDR_RESCHEDULE_DATE_FIELD,
+  config.NOTIFY_PHONE_FIELD,
+  config.NOTIFY_EMAIL_FIELD,
+  config.NOTIFY_NAME_FIELD,
+  config.CHARGED_WEIGHT_FIELD,
+  config.DECLARED_VALUE_FIELD,
+  config.COD_AMOUNT_FIELD,
+  config.INVOICE_AMOUNT_FIELD,
+  config.PAYMENT_MODE_FIELD,
+  config.BOOKED_WEIGHT_FIELD,
+  config.ORDER_VALUE_FIELD
+].filter(Boolean);
+
+/**
+ * Enhanced Search (new) – POST /rest/api/3/search/jql
+ */
+async function jiraSearchJQLEnhanced({ jql, nextPageToken = null, maxResults = 50 }) {
+  const body = {
+    jql,
+    maxResults,
+    nextPageToken: nextPageToken || undefined,
+    fields: requiredFields(),
+    fieldsByKeys: true
+  };
+  const { data } = await jira.post('/rest/api/3/search/jql', body, { idempotent: true }); // read-only
+  return data;
+}
+
+/**
+ * Classic Search (fallback) – POST /rest/api/3/search with startAt/maxResults
+ */
+async function jiraSearchClassic({ jql, startAt = 0, maxResults = 50 }) {
+  const body = {
+    jql,
+    startAt,
+    maxResults,
+    fields: requiredFields(),
+    fieldsByKeys: true
+  };
+  const { data } = await jira.post('/rest/api/3/search', body, { idempotent: true }); // read-only
+  return data;
+}
+
+/**
+ * Wrapper: try enhanced search, fallback to classic
+ */
+async function jiraSearchJQL({ jql, nextPageToken = null, startAt = 0, maxResults = 50, prefer = 'enhanced' }) {
+  if (prefer === 'enhanced') {
+    try {
+      return await jiraSearchJQLEnhanced({ jql, nextPageToken, maxResults });
+    } catch (e) {
+      const status = e?.response?.status;
+      console.warn('⚠️ Enhanced search failed; falling back to classic.', status, e?.response?.data || e.message);
+      // Convert enhanced paging to classic startAt if needed (we simply ignore nextPageToken here).
+      return await jiraSearchClassic({ jql, startAt, maxResults });
+    }
+  } else {
+    try {
+      return await jiraSearchClassic({ jql, startAt, maxResults });
+    } catch (e) {
+      const status = e?.response?.status;
+      console.warn('⚠️ Classic search failed; trying enhanced.', status, e?.response?.data || e.message);
+      return await jiraSearchJQLEnhanced({ jql, nextPageToken, maxResults });
+    }
+  }
+}
+
+/**
+ * ---------------- Jira (comments, transitions, updates) ----------------
+ */
+const postCommentADF = async (issueKey, commentText) => {
+  if (!commentText || config.DRY_RUN) return;
+  // Line breaks become ADF hardBreaks; Jira does not render "\n" inside a text node
+  const content = String(commentText).split('\n').flatMap((line, i) => [
+    ...(i ? [{ type: 'hardBreak' }] : []),
+    ...(line ? [{ type: 'text', text: line }] : [])
+  ]);
+  const payload = {
+    body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content }] }
+  };
+  try {
+    // Not idempotent: only retried when Jira cannot have stored it (429 / never connected)
+    await jira.post(`/rest/api/3/issue/${issueKey}/comment`, payload);
+    console.log(`💬 Comment added to ${issueKey}`);
+  } catch (err) {
+    console.error(`❌ Failed to add comment to ${issueKey}:`, err.response?.data || err.message);
+  }
+};
+
+// Raw ADF comments; callers handle errors. createComment resolves to the new comment ({ id, ... }).
+const createComment = async (issueKey, body) => {
+  const { data } = await jira.post(`/rest/api/3/issue/${issueKey}/comment`, { body });
+  return data;
+};
+
+const editComment = async (issueKey, commentId, body) => {
+  const { data } = await jira.put(`/rest/api/3/issue/${issueKey}/comment/${commentId}`, { body });
+  return data;
+};
+
+// The issue's newest comments (one page), newest first
+const listComments = async (issueKey) => {
+  const { data } = await jira.get(`/rest/api/3/issue/${issueKey}/comment`, { params: { orderBy: '-created', maxResults: 100 } });
+  return data?.comments || [];
+};
+
+/**
+ * ---------------- Issue entity properties ----------------
+ * Small JSON documents stored on the issue itself, used for bookkeeping that must survive a
+ * lost state file (e.g. which comment holds the scan timeline). null when the property is unset.
+ */
+const getIssueProperty = async (issueKey, propertyKey) => {
+  try {
+    const { data } = await jira.get(`/rest/api/3/issue/${issueKey}/properties/${encodeURIComponent(propertyKey)}`);
+    return data?.value ?? null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+};
+
+const setIssueProperty = async (issueKey, propertyKey, value) => {
+  await jira.put(`/rest/api/3/issue/${issueKey}/properties/${encodeURIComponent(propertyKey)}`, value);
+};
+
+/**
+ * Status comments are posted once per event (lib/comments.js): the keys already posted live in an
+ * issue property, so a re-run, a replayed webhook or a lost state file cannot repeat a comment.
+ * The key is recorded before the comment is posted: a failure in between loses the comment
+ * rather than posting it twice.
+ */
+const COMMENT_EVENTS_PROPERTY = 'delhivery-sync.commentEvents';
+const COMMENT_EVENTS_KEPT = 100;
+
+const postEventComment = async (issueKey, comment) => {
+  if (!comment || config.DRY_RUN) return;
+  try {
+    const posted = (await getIssueProperty(issueKey, COMMENT_EVENTS_PROPERTY))?.keys || [];
+    if (posted.includes(comment.key)) {
+      console.log(`⏩ ${issueKey} already has the comment for ${comment.key}; not posting it again`);
+      return;
+    }
+    await setIssueProperty(issueKey, COMMENT_EVENTS_PROPERTY, { keys: [...posted, comment.key].slice(-COMMENT_EVENTS_KEPT) });
+    await createComment(issueKey, comment.adf);
+    console.log(`💬 Comment added to ${issueKey}`);
+  } catch (err) {
+    console.error(`❌ Failed to add comment to ${issueKey}:`, err.response?.data || err.message);
+  }
+};
+
+// Jira status names that count as `target`: the rules file's aliases, then the profile's
+const statusAliases = (target) => ({ ...getRules().jiraStatusAliases, ...config.JIRA_STATUS_ALIASES })[target] || [target];
+
+const findTransitionByName = (transitions, target) => {
+  const targets = statusAliases(target).map(nameNorm);
+  const exact = transitions.find(t => targets.includes(nameNorm(t.to?.name)));
+  if (exact) return exact;
+
+  // Fuzzy fallback for RTO-in-transit
+  const targetNorm = nameNorm(target);
+  if (targetNorm.includes('rtointransit')) {
+    const fuzzy = transitions.find(t => {
+      const n = nameNorm(t.to?.name);
+      return n.includes('rto') && n.includes('transit');
+    });
+    if (fuzzy) return fuzzy;
+  }
+  return null;
+};
+
+const getTransitions = async (issueKey) => {
+  const transitionRes = await jira.get(`/rest/api/3/issue/${issueKey}/transitions`);
+  if (config.LOG_TRANSITIONS) {
+    console.log(`🔎 Transitions for ${issueKey}:`, transitionRes.data.transitions.map(t => t.to?.name));
+  }
+  return transitionRes.data.transitions;
+};
+
+// ASSIGNEE_RULES first; otherwise delivered and RTO-delivered issues go to POST_DELIVERY_ASSIGNEE
+const assigneeFor = (status) => {
+  if (Object.prototype.hasOwnProperty.call(config.ASSIGNEE_RULES, status)) return config.ASSIGNEE_RULES[status] || null;
+  return ['DELIVERED', 'RTO DELIVERED'].includes(status) ? config.POST_DELIVERY_ASSIGNEE : null;
+};
+
+// Not retried after a timeout or 5xx: Jira may have applied it, and the retry would then be
+// rejected as invalid. The issue is reported failed and the next run starts from its real status.
+const postTransition = (issueKey, transition) =>
+  jira.post(`/rest/api/3/issue/${issueKey}/transitions`, { transition: { id: transition.id } });
+
+/**
+ * Takes the intermediate hops of the shortest learned route toward `newStatus` (lib/workflow.js),
+ * re-reading the live transitions after each one. Resolves to { transition, at }: the transition
+ * into the target from where the walk ended (null when a hop is not offered) and that status.
+ */
+const walkTowards = async (issueKey, from, newStatus, transitions, workflow, allowHop) => {
+  const path = workflow.route(from, statusAliases(newStatus), { allowHop });
+  if (!path) return { transition: null, at: from };
+
+  let at = from;
+  for (const [i, hop] of path.slice(0, -1).entries()) {
+    const transition = transitions.find(t => nameNorm(t.to?.name) === nameNorm(hop));
+    if (!transition) {
+      workflow.forget(at, hop);
+      console.log(`⚠️ ${issueKey}: "${at}" → "${hop}" is not offered any more; stopping at "${at}"`);
+      return { transition: null, at };
+    }
+    await postTransition(issueKey, transition);
+    console.log(`↪️ ${issueKey} hop ${i + 1}/${path.length}: "${at}" → "${transition.to.name}"`);
+    at = transition.to.name;
+    transitions = await getTransitions(issueKey);
+    workflow.learn(at, transitions);
+  }
+  const transition = findTransitionByName(transitions, newStatus);
+  if (!transition) workflow.forget(at, path[path.length - 1]);
+  return { transition, at };
+};
+
+// The event comment goes out whether or not `writes` (field and assignee updates) succeed; their error is rethrown after it
+const withEventComment = async (issueKey, comment, writes) => {
+  let failure = null;
+  try {
+    await writes();
+  } catch (err) {
+    failure = err;
+  }
+  if (comment) await postEventComment(issueKey, comment);
+  if (failure) throw failure;
+};
+
+/**
+ * Transition + fields + assignee + comment. Resolves to { outcome, error } where outcome is
+ * 'updated', 'no-transition' (fields-only fallback applied) or 'failed'. `comment` is a status
+ * comment from lib/comments.js ({ key, text, adf }), posted at most once per event key.
+ *
+ * With `workflow` (a learned graph) and `from` (the issue's current status), a target that is
+ * not directly reachable is reached through intermediate statuses, one logged hop at a time;
+ * `allowHop(from, to)` rules out hops (the shipment lifecycle).
+ */
+const updateJira = async (issueKey, newStatus, customFields = {}, comment = null, { from = null, workflow = null, allowHop = null } = {}) => {
+  if (config.DRY_RUN) return { outcome: 'planned', error: null };
+  try {
+    const transitions = await getTransitions(issueKey);
+    workflow?.learn(from, transitions);
+    let transition = findTransitionByName(transitions, newStatus);
+    let at = from;
+    if (!transition && workflow && from) ({ transition, at } = await walkTowards(issueKey, from, newStatus, transitions, workflow, allowHop));
+
+    if (!transition) {
+      const where = at !== from ? ` from "${at}"` : '';
+      console.log(`⚠️ No matching transition for "${newStatus}" on ${issueKey}${where}. Applying fields-only update.`);
+      const note = comment && withNote(comment, `[Note] Intended status "${newStatus}" but no transition was available${where}.`);
+      await withEventComment(issueKey, note, async () => {
+        if (Object.keys(customFields).length > 0) {
+          await jira.put(`/rest/api/3/issue/${issueKey}`, { fields: customFields });
+          console.log(`📝 Fields updated for ${issueKey} (no transition available)`);
+        }
+      });
+      return { outcome: 'no-transition', error: null };
+    }
+
+    await postTransition(issueKey, transition);
+    console.log(`✅ Status updated to "${newStatus}" for ${issueKey}${at !== from ? ` (via "${at}")` : ''}`);
+
+    await withEventComment(issueKey, comment, async () => {
+      if (Object.keys(customFields).length > 0) {
+        await jira.put(`/rest/api/3/issue/${issueKey}`, { fields: customFields });
+        console.log(`🛠️ Custom fields updated for ${issueKey}`);
+      }
+
+      const assignee = assigneeFor(newStatus);
+      if (assignee) {
+        await jira.put(`/rest/api/3/issue/${issueKey}/assignee`, { accountId: assignee });
+        console.log(`👤 Assigned ${issueKey} to ${assignee} for "${newStatus}"`);
+      }
+    });
+    return { outcome: 'updated', error: null };
+
+  } catch (err) {
+    console.error(`❌ Failed to update JIRA ${issueKey}:`, err.response?.data || err.message);
+    return { outcome: 'failed', error: describeError(err) };
+  }
+};
+
+// Fields-only updater (for when status is unchanged)
+const updateJiraFieldsOnly = async (issueKey, fields) => {
+  if (!fields || Object.keys(fields).length === 0) return { outcome: 'unchanged', error: null };
+  if (config.DRY_RUN) return { outcome: 'planned', error: null };
+  try {
+    await jira.put(`/rest/api/3/issue/${issueKey}`, { fields });
+    console.log(`📝 Fields updated for ${issueKey} (no transition)`);
+    return { outcome: 'fields-updated', error: null };
+  } catch (err) {
+    console.error(`❌ Failed to update fields for ${issueKey}:`, err.response?.data || err.message);
+    return { outcome: 'failed', error: describeError(err) };
+  }
+};
+
+// Adds labels (never removes any) and posts one comment explaining them
+const flagIssue = async (issueKey, labels, comment) => {
+  if (!labels.length) return { outcome: 'unchanged', error: null };
+  if (config.DRY_RUN) return { outcome: 'planned', error: null };
+  try {
+    await jira.put(`/rest/api/3/issue/${issueKey}`, { update: { labels: labels.map(add => ({ add })) } });
+    console.log(`🚨 Labels ${labels.join(', ')} added to ${issueKey}`);
+    await postCommentADF(issueKey, comment);
+    return { outcome: 'flagged', error: null };
+  } catch (err) {
+    console.error(`❌ Failed to flag ${issueKey}:`, err.response?.data || err.message);
+    return { outcome: 'failed', error: describeError(err) };
+  }
+};
+
+/**
+ * ---------------- JQL builders ----------------
+ */
+function buildTrackingCfExpr() {
+  const cfExpr = toCfIdExpr(config.TRACKING_FIELD);
+  if (!cfExpr) {
+    throw new Error(`TRACKING_FIELD "${config.TRACKING_FIELD}" must look like "customfield_12345" so we can build JQL cf[12345].`);
+  }
+  return cfExpr;
+}
+
+function buildJqlPickup(sinceYmd) {
+  const cfExpr = buildTrackingCfExpr();
+  const cond = [
+    `project = ${config.JIRA_PROJECT}`,
+    `${cfExpr} IS NOT EMPTY`,
+    `created >= ${sinceYmd}`,
+    `status = "PICKUP SCHEDULED"`
+  ].join(' AND ');
+  return `${cond} ORDER BY updated DESC`;
+}
+
+function buildJqlOthers(sinceYmd) {
+  const cfExpr = buildTrackingCfExpr();
+  const cond = [
+    `project = ${config.JIRA_PROJECT}`,
+    `${cfExpr} IS NOT EMPTY`,
+    `created >= ${sinceYmd}`,
+    `status NOT IN ("RTO DELIVERED","PICKUP SCHEDULED")`
+  ].join(' AND ');
+  return `${cond} ORDER BY updated DESC`;
+}
+
+// Stale sweep: open issues created before the window, minus the ones already marked expired
+function buildJqlStale(beforeYmd) {
+  const cfExpr = buildTrackingCfExpr();
+  const cond = [
+    `project = ${config.JIRA_PROJECT}`,
+    `${cfExpr} IS NOT EMPTY`,
+    `created < ${beforeYmd}`,
+    `status NOT IN ("DELIVERED","RTO DELIVERED")`,
+    `(labels IS EMPTY OR labels NOT IN ("${config.TRACKING_EXPIRED_LABEL}"))`
+  ].join(' AND ');
+  return `${cond} ORDER BY created ASC`;
+}
+
+/**
+ * ---------------- Issues ----------------
+ */
+const fetchAllIssues = async (jql) => {
+  const all = [];
+  const pageSize = 50;
+  let nextPageToken = null;
+  let startAt = 0;
+
+  while (true) {
+    // Try enhanced first; if it falls back to classic, we use startAt pagination
+    const data = await jiraSearchJQL({ jql, nextPageToken, startAt, maxResults: pageSize, prefer: 'enhanced' });
+
+    const issues = data?.issues || [];
+    all.push(...issues);
+
+    // Enhanced pagination
+    if (data?.isLast && typeof data?.isLast !== 'undefined') break;
+    if (data?.nextPageToken) {
+      nextPageToken = data.nextPageToken;
+      if (issues.length === 0) break;
+      continue;
+    }
+
+    // Classic pagination fallback
+    if (typeof data?.startAt === 'number' && typeof data?.total === 'number') {
+      startAt = data.startAt + issues.length;
+      if (startAt >= data.total || issues.length === 0) break;
+      continue;
+    }
+
+    // If neither enhanced nor classic paging hints present, stop
+    if (!issues.length) break;
+    else break; // be safe
+  }
+  return all;
+};
+
+// Issues whose tracking field mentions the AWB (text search; callers confirm with extractAWB)
+const searchIssuesByAwb = async (awb) => {
+  const safe = String(awb).replace(/[^0-9A-Za-z-]/g, '');
+  return fetchAllIssues(`project = ${config.JIRA_PROJECT} AND ${buildTrackingCfExpr()} ~ "${safe}" ORDER BY created DESC`);
+};
+
+const getJiraIssues = async () => {
+  const since = dayjs(businessToday()).subtract(config.CREATED_SINCE_DAYS, 'day').format('YYYY-MM-DD');
+
+  if (config.DEBUG_ISSUE_KEY) {
+    const singleData = await jiraSearchJQL({ jql: `key = ${config.DEBUG_ISSUE_KEY}`, startAt: 0, maxResults: 50 });
+    return singleData?.issues || [];
+  }
+
+  console.log('📥 Fetching PICKUP SCHEDULED issues...');
+  const pickupIssues = await fetchAllIssues(buildJqlPickup(since));
+
+  console.log('📥 Fetching other eligible issues...');
+  const otherIssues = await fetchAllIssues(buildJqlOthers(since));
+
+  return [...pickupIssues, ...otherIssues];
+};
+
+// Issues that fell out of getJiraIssues' CREATED_SINCE_DAYS window while still open
+const getStaleJiraIssues = async () => {
+  const before = dayjs(businessToday()).subtract(config.CREATED_SINCE_DAYS, 'day').format('YYYY-MM-DD');
+
+  if (config.DEBUG_ISSUE_KEY) {
+    const singleData = await jiraSearchJQL({ jql: `key = ${config.DEBUG_ISSUE_KEY}`, startAt: 0, maxResults: 50 });
+    return singleData?.issues || [];
+  }
+
+  console.log(`📥 Fetching open issues created before ${before}...`);
+  return fetchAllIssues(buildJqlStale(before));
+};
+
+module.exports = {
+  jiraBase,
+  jiraAuth,
+  jira,
+  requiredFields,
+  jiraSearchJQL,
+  postCommentADF,
+  createComment,
+  postEventComment,
+  editComment,
+  listComments,
+  getIssueProperty,
+  setIssueProperty,
+  statusAliases,
+  findTransitionByName,
+  getTransitions,
+  assigneeFor,
+  updateJira,
+  updateJiraFieldsOnly,
+  flagIssue,
+  buildJqlPickup,
+  buildJqlOthers,
+  buildJqlStale,
+  fetchAllIssues,
+  searchIssuesByAwb,
+  getJiraIssues,
+  getStaleJiraIssues
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const { config } = require('./config');
+const { nameNorm } = require('./util');
+const { PREDICATES } = require('./rules');
+const { getRules } = require('./classify');
+const { statusAliases } = require('./jira');
+
+/**
+ * ---------------- Shipment lifecycle ----------------
+ * Which status moves the poller may make (config/lifecycle.json, LIFECYCLE_FILE):
+ *
+ *   statuses     every Jira status the model knows
+ *   terminal     statuses nothing moves out of, unless an exception allows it
+ *   transitions  { <from>: [<to>, ...] }, the forward moves
+ *   exceptions   [{ from, to, when, description? }]: a move allowed only when the rules
+ *                predicate `when` (e.g. "hasRecentRTScan") holds for the shipment
+ *
+ * A classified status the model does not allow (a stale or odd scan moving an issue backwards)
+ * is not applied; the pipeline flags the issue with LIFECYCLE_REVIEW_LABEL instead. Moves from or
+ * to a status the model does not list (aliases count as their status) are not judged.
+ */
+const LIFECYCLE_SCHEMA_VERSION = 1;
+
+const validateLifecycleDoc = (doc) => {
+  const errors = [];
+  if (doc?.version !== LIFECYCLE_SCHEMA_VERSION) errors.push(`"version" must be ${LIFECYCLE_SCHEMA_VERSION}`);
+  if (!Array.isArray(doc?.statuses) || !doc.statuses.length) errors.push('"statuses" must be a non-empty array');
+  const known = new Set((doc?.statuses || []).map(nameNorm));
+  const checkStatus = (where, s) => {
+    if (!known.has(nameNorm(s))) errors.push(`${where}: unknown status "${s}"`);
+  };
+  for (const s of doc?.terminal || []) checkStatus('terminal', s);
+  for (const [from, targets] of Object.entries(doc?.transitions || {})) {
+    checkStatus(`transitions["${from}"]`, from);
+    if (!Array.isArray(targets)) errors.push(`transitions["${from}"] must be an array`);
+    else targets.forEach(to => checkStatus(`transitions["${from}"]`, to));
+    if ((doc.terminal || []).some(t => nameNorm(t) === nameNorm(from))) {
+      errors.push(`transitions["${from}"]: "${from}" is terminal; use an exception for moves out of it`);
+    }
+  }
+  (doc?.exceptions || []).forEach((ex, i) => {
+    checkStatus(`exceptions[${i}].from`, ex?.from);
+    checkStatus(`exceptions[${i}].to`, ex?.to);
+    if (!PREDICATES[ex?.when]) errors.push(`exceptions[${i}].when: unknown predicate "${ex?.when}" (one of ${Object.keys(PREDICATES).join(', ')})`);
+  });
+  return errors;
+};
+
+const buildLifecycle = (doc, source = 'lifecycle') => {
+  const errors = validateLifecycleDoc(doc);
+  if (errors.length) {
+    throw new Error(`Invalid lifecycle in ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  const edges = new Map(Object.entries(doc.transitions || {}).map(([from, targets]) => [nameNorm(from), new Set(targets.map(nameNorm))]));
+  return {
+    revision: String(doc.revision ?? ''),
+    source,
+    statuses: doc.statuses,
+    terminal: new Set((doc.terminal || []).map(nameNorm)),
+    edges,
+    exceptions: doc.exceptions || []
+  };
+};
+
+const loadLifecycle = (file) => {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read lifecycle from ${file}: ${err.message}`);
+  }
+  return buildLifecycle(doc, file);
+};
+
+let LIFECYCLE = null;
+
+const getLifecycle = () => {
+  if (!LIFECYCLE) LIFECYCLE = loadLifecycle(config.LIFECYCLE_FILE);
+  return LIFECYCLE;
+};
+
+// Swap the active lifecycle (tests)
+const setLifecycle = (lifecycle) => { LIFECYCLE = lifecycle; };
+
+// The model's name for a Jira status, looking through jiraStatusAliases; null when it is not modelled
+const canonicalStatus = (lifecycle, name) => {
+  if (!name) return null;
+  const n = nameNorm(name);
+  return lifecycle.statuses.find(s => nameNorm(s) === n) ||
+    lifecycle.statuses.find(s => statusAliases(s).some(a => nameNorm(a) === n)) || null;
+};
+
+/**
+ * Judges a move from the issue's status to the classified one. Resolves to
+ * { allowed: true, exception? } or { allowed: false, reason }.
+ */
+const checkMove = (from, to, tracking, lifecycle = getLifecycle()) => {
+  const a = canonicalStatus(lifecycle, from);
+  const b = canonicalStatus(lifecycle, to);
+  if (!a || !b || nameNorm(a) === nameNorm(b)) return { allowed: true };
+
+  const exception = lifecycle.exceptions.find(ex =>
+    nameNorm(ex.from) === nameNorm(a) && nameNorm(ex.to) === nameNorm(b) && PREDICATES[ex.when](tracking, getRules()));
+  if (exception) return { allowed: true, exception: exception.description || exception.when };
+
+  if (lifecycle.terminal.has(nameNorm(a))) return { allowed: false, reason: `"${a}" is a final status` };
+  if (!lifecycle.edges.get(nameNorm(a))?.has(nameNorm(b))) return { allowed: false, reason: `"${a}" → "${b}" goes backwards` };
+  return { allowed: true };
+};
+
+module.exports = {
+  LIFECYCLE_SCHEMA_VERSION,
+  buildLifecycle,
+  loadLifecycle,
+  getLifecycle,
+  setLifecycle,
+  checkMove
+};
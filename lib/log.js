@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+/**
+ * ---------------- Per-issue log groups ----------------
+ * With several issues in flight their lines would interleave. Inside withLogGroup(fn) the
+ * console methods write to a buffer that is printed in one piece when fn settles, so each
+ * issue's story still reads top to bottom. With ISSUE_CONCURRENCY=1 lines go out live.
+ */
+const groups = new AsyncLocalStorage();
+const METHODS = ['log', 'info', 'warn', 'error'];
+let installed = false;
+
+// Wraps the console once; outside a group every call goes straight through
+const install = () => {
+  if (installed) return;
+  installed = true;
+  for (const method of METHODS) {
+    const original = console[method];
+    console[method] = (...args) => {
+      const buffer = groups.getStore();
+      if (buffer) buffer.push([original, args]);
+      else original.apply(console, args);
+    };
+  }
+};
+
+const withLogGroup = async (fn) => {
+  if (config.ISSUE_CONCURRENCY <= 1) return fn();
+  install();
+  const buffer = [];
+  try {
+    return await groups.run(buffer, fn);
+  } finally {
+    for (const [write, args] of buffer) write.apply(console, args);
+  }
+};
+
+module.exports = { withLogGroup };
@@ -0,0 +1,134 @@
+const { config } = require('./config');
+const { toYmd, businessToday } = require('./time');
+const { describeError } = require('./util');
+const { getCarrier } = require('./carriers');
+const { interpretStatus } = require('./classify');
+const { getIssueProperty, setIssueProperty, postCommentADF } = require('./jira');
+
+/**
+ * ---------------- NDR actions ----------------
+ * Agents pick an action in NDR_ACTION_FIELD (Reattempt / Reschedule / Return; Reschedule also
+ * needs NDR_RESCHEDULE_DATE_FIELD) and the poller submits it to the carrier, for carriers whose
+ * adapter has the `ndr` capability (Delhivery today). Every submission is
+ * kept in an issue property so the same action is sent once per NDR event:
+ *
+ *   { submissions: [{ event, act, deferredDate, requestId, submittedAt, status, final, message, checkedAt }] }
+ *
+ * `event` is the time of the NDR scan the action answers. A fresh NDR (a failed re-attempt)
+ * is a new event, so the agent can choose the same action again.
+ *
+ * A submission is recorded before it goes to the carrier: when the property cannot be written the
+ * action waits for the next run, and once sent it is never sent again for the same event.
+ */
+const NDR_PROPERTY = 'delhivery-sync.ndrActions';
+
+const ACTIONS = [
+  { act: 'RE-ATTEMPT', re: /re-?attempt/i },
+  { act: 'DEFER_DLV', re: /reschedule|defer/i },
+  { act: 'RTO', re: /\breturn\b|\brto\b/i }
+];
+
+const fieldText = (v) => String(v?.value ?? v?.name ?? v ?? '').trim();
+
+/**
+ * The action the agent chose, as { act, deferredDate }; { error } when it cannot be sent;
+ * null when the field is empty.
+ */
+const readNdrAction = (issue, now = new Date()) => {
+  const label = fieldText(issue.fields?.[config.NDR_ACTION_FIELD]);
+  if (!label) return null;
+  const match = ACTIONS.find(a => a.re.test(label));
+  if (!match) return { error: `unknown NDR action "${label}"` };
+  if (match.act !== 'DEFER_DLV') return { act: match.act, deferredDate: null };
+
+  const date = fieldText(issue.fields?.[config.NDR_RESCHEDULE_DATE_FIELD]);
+  const ymd = toYmd(date);
+  if (!ymd) return { error: 'Reschedule needs a date in the reschedule date field' };
+  if (ymd <= businessToday(now)) return { error: `reschedule date ${ymd} is not in the future` };
+  return { act: match.act, deferredDate: ymd };
+};
+
+// A scan that the status rules read as an NDR on its own
+const isNdrScan = (tracking, scan) => interpretStatus({ carrier: tracking.carrier, status: scan, scans: [], dates: {} }) === 'NDR';
+
+// When the NDR the agent is answering happened: the newest NDR scan, else the status time.
+// Later scans of another kind (hub arrivals, a new dispatch) keep the event the same.
+const ndrEventId = (tracking) => {
+  const scans = Array.isArray(tracking?.scans) ? tracking.scans : [];
+  const newest = scans
+    .filter(sc => sc.at && isNdrScan(tracking, sc))
+    .reduce((a, b) => (!a || Date.parse(b.at) >= Date.parse(a.at) ? b : a), null);
+  return newest?.at || tracking?.status?.at || 'unknown';
+};
+
+const latestSubmission = (record) => record?.submissions?.[record.submissions.length - 1] || null;
+
+const describeSubmission = (sub) =>
+  sub ? `${sub.act}${sub.deferredDate ? `@${sub.deferredDate}` : ''}:${sub.final ? sub.status : 'pending'}` : null;
+
+/**
+ * Brings one issue's NDR action up to date: checks a pending request, then submits the chosen
+ * action if the shipment is in NDR and that action was not sent for this NDR event yet.
+ * Resolves to the latest submission summary (e.g. "RE-ATTEMPT:Success") or null.
+ */
+const syncNdrAction = async (issue, awb, tracking, status) => {
+  if (!config.NDR_ACTION_FIELD) return null;
+  const carrier = getCarrier(tracking.carrier);
+  if (!carrier.ndr) return null;
+
+  const chosen = status === 'NDR' ? readNdrAction(issue) : null;
+  let record = await getIssueProperty(issue.key, NDR_PROPERTY);
+  if (!chosen && !record) return null;
+  record = record || { submissions: [] };
+  let changed = false;
+
+  // 1) Outcome of the last request, commented once when Delhivery has processed it
+  const last = latestSubmission(record);
+  if (last && !last.final && last.requestId && !config.DRY_RUN) {
+    try {
+      const result = await carrier.ndr.status(last.requestId);
+      Object.assign(last, result, { checkedAt: new Date().toISOString() });
+      changed = true;
+      if (result.final) {
+        await postCommentADF(issue.key, `[NDR] ${carrier.name} processed ${last.act} for AWB ${awb} (request ${last.requestId}): ${result.status}` +
+          `${result.message ? ` — ${result.message}` : ''}`);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Could not read NDR request ${last.requestId} for ${issue.key}:`, describeError(err));
+    }
+  }
+
+  // 2) New action for the current NDR event
+  if (chosen?.error) {
+    console.log(`⚠️ NDR action on ${issue.key} not sent: ${chosen.error}`);
+  } else if (chosen) {
+    const event = ndrEventId(tracking);
+    const sent = record.submissions.some(s => s.event === event && s.act === chosen.act && s.deferredDate === chosen.deferredDate);
+    if (sent) {
+      console.log(`⏩ NDR action ${chosen.act} already submitted for ${issue.key} (NDR at ${event})`);
+    } else if (config.DRY_RUN) {
+      console.log(`🧪 [dry-run] ${issue.key}: would submit NDR action ${chosen.act}${chosen.deferredDate ? ` for ${chosen.deferredDate}` : ''} to ${carrier.name}`);
+    } else {
+      const sub = { event, act: chosen.act, deferredDate: chosen.deferredDate, requestId: null, submittedAt: new Date().toISOString(), status: 'Submitting', final: false, message: null };
+      record.submissions.push(sub);
+      await setIssueProperty(issue.key, NDR_PROPERTY, record);
+      try {
+        sub.requestId = (await carrier.ndr.submit(awb, chosen.act, chosen.deferredDate)).requestId;
+        sub.status = 'Submitted';
+        console.log(`📮 NDR action ${chosen.act} submitted for ${issue.key} (request ${sub.requestId})`);
+        await postCommentADF(issue.key, `[NDR] Submitted ${chosen.act}${chosen.deferredDate ? ` for ${chosen.deferredDate}` : ''} to ${carrier.name} for AWB ${awb} (request ${sub.requestId}).`);
+      } catch (err) {
+        // Recorded as a final failure so it is not re-sent blindly; a new NDR event allows another try
+        Object.assign(sub, { status: 'Failed', final: true, message: describeError(err) });
+        console.error(`❌ NDR action ${chosen.act} for ${issue.key} failed:`, sub.message);
+        await postCommentADF(issue.key, `[NDR] Could not submit ${chosen.act} to ${carrier.name} for AWB ${awb}: ${sub.message}`);
+      }
+      changed = true;
+    }
+  }
+
+  if (changed && !config.DRY_RUN) await setIssueProperty(issue.key, NDR_PROPERTY, record);
+  return describeSubmission(latestSubmission(record));
+};
+
+module.exports = { NDR_PROPERTY, readNdrAction, ndrEventId, syncNdrAction };
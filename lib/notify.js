@@ -0,0 +1,313 @@
+const fs = require('fs');
+const { config } = require('./config');
+const { nameNorm, describeError } = require('./util');
+const { dayjs } = require('./time');
+const { createHttpClient, isRetryable } = require('./http');
+const { getIssueProperty, setIssueProperty } = require('./jira');
+const { VARIABLES, variableProblems, renderText, commentVariables, commentEventKey } = require('./comments');
+
+/**
+ * ---------------- Customer notifications ----------------
+ * When an issue moves to a status with a template (config/notification-templates.json,
+ * NOTIFY_TEMPLATES_FILE), the customer is messaged on every channel in NOTIFY_CHANNELS:
+ *
+ *   { "version": 1, "templates": { "<Jira status>": { "subject": "...", "text": ["line", ...] } } }
+ *
+ * Lines use the status comment variables (lib/comments.js) plus {{customerName}}. Recipients come
+ * from the issue: NOTIFY_PHONE_FIELD (webhook), NOTIFY_EMAIL_FIELD (email), NOTIFY_NAME_FIELD.
+ *
+ * Each message is sent at most once per status event and channel; what was sent is kept in an
+ * issue property. During NOTIFY_QUIET_HOURS (BUSINESS_TZ) messages are held in the state store
+ * and sent by the first run after they end; a send that failed transiently is retried by the next
+ * run, up to NOTIFY_MAX_ATTEMPTS times. A newer milestone replaces the messages still held for its issue.
+ */
+const NOTIFY_TEMPLATES_VERSION = 1;
+const NOTIFY_VARIABLES = [...VARIABLES, 'customerName'];
+const NOTIFICATIONS_PROPERTY = 'delhivery-sync.notifications';
+const NOTIFICATIONS_KEPT = 100;
+const NOTIFY_MAX_ATTEMPTS = 3;
+
+/**
+ * ---------------- Channels ----------------
+ * { id, recipient(contact) → address or null, problems() → config errors, send(message) }
+ */
+const CHANNELS = new Map();
+
+const registerChannel = (channel) => {
+  for (const k of ['id', 'recipient', 'problems', 'send']) {
+    if (!channel?.[k]) throw new Error(`Notification channel ${channel?.id || '?'} is missing "${k}"`);
+  }
+  CHANNELS.set(channel.id, channel);
+  return channel;
+};
+
+// Generic HTTP gateway (WhatsApp / SMS providers, or a relay in front of one)
+const gateway = createHttpClient({ name: 'notify' });
+
+registerChannel({
+  id: 'webhook',
+  recipient: (contact) => contact.phone,
+  problems: () => (config.NOTIFY_WEBHOOK_URL ? [] : ['NOTIFY_WEBHOOK_URL is not set']),
+  send: async (m) => {
+    const headers = { 'Idempotency-Key': `${m.key}:${m.channel}` };
+    if (config.NOTIFY_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${config.NOTIFY_WEBHOOK_TOKEN}`;
+    await gateway.post(config.NOTIFY_WEBHOOK_URL, {
+      event: 'shipment.milestone',
+      id: `${m.key}:${m.channel}`,
+      issueKey: m.issueKey,
+      awb: m.awb,
+      status: m.status,
+      to: { phone: m.to, name: m.name },
+      subject: m.subject,
+      text: m.text
+    }, { headers });
+  }
+});
+
+// SMTP through nodemailer, an optional dependency: only installs that send email need it
+const loadNodemailer = () => {
+  try {
+    return require('nodemailer');
+  } catch {
+    return null;
+  }
+};
+const transports = new Map();
+
+registerChannel({
+  id: 'email',
+  recipient: (contact) => contact.email,
+  problems: () => [
+    ...(loadNodemailer() ? [] : ['the email channel needs nodemailer (npm install nodemailer)']),
+    ...(config.NOTIFY_SMTP_URL ? [] : ['NOTIFY_SMTP_URL is not set']),
+    ...(config.NOTIFY_EMAIL_FROM ? [] : ['NOTIFY_EMAIL_FROM is not set'])
+  ],
+  send: async (m) => {
+    if (!transports.has(config.NOTIFY_SMTP_URL)) transports.set(config.NOTIFY_SMTP_URL, loadNodemailer().createTransport(config.NOTIFY_SMTP_URL));
+    await transports.get(config.NOTIFY_SMTP_URL).sendMail({ from: config.NOTIFY_EMAIL_FROM, to: m.to, subject: m.subject, text: m.text });
+  }
+});
+
+/**
+ * ---------------- Templates and quiet hours ----------------
+ */
+const validateNotifyTemplatesDoc = (doc) => {
+  const errors = [];
+  if (doc?.version !== NOTIFY_TEMPLATES_VERSION) errors.push(`"version" must be ${NOTIFY_TEMPLATES_VERSION}`);
+  if (!doc?.templates || typeof doc.templates !== 'object' || Array.isArray(doc.templates)) {
+    errors.push('"templates" must map Jira statuses to { subject, text }');
+    return errors;
+  }
+  for (const [status, tpl] of Object.entries(doc.templates)) {
+    const where = `templates["${status}"]`;
+    if (typeof tpl?.subject !== 'string' || !tpl.subject) errors.push(`${where}.subject must be a non-empty string`);
+    if (!Array.isArray(tpl?.text) || !tpl.text.length || !tpl.text.every(l => typeof l === 'string')) {
+      errors.push(`${where}.text must be a non-empty list of strings`);
+      continue;
+    }
+    errors.push(...variableProblems(where, [tpl.subject || '', ...tpl.text], NOTIFY_VARIABLES));
+  }
+  return errors;
+};
+
+const loadNotifyTemplates = (file) => {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read notification templates from ${file}: ${err.message}`);
+  }
+  const errors = validateNotifyTemplatesDoc(doc);
+  if (errors.length) throw new Error(`Invalid notification templates in ${file}:\n  - ${errors.join('\n  - ')}`);
+  return new Map(Object.entries(doc.templates).map(([status, tpl]) => [nameNorm(status), tpl]));
+};
+
+let TEMPLATES = null;
+
+const getNotifyTemplates = () => {
+  if (!TEMPLATES) TEMPLATES = loadNotifyTemplates(config.NOTIFY_TEMPLATES_FILE);
+  return TEMPLATES;
+};
+
+// Swap the active templates (tests)
+const setNotifyTemplates = (templates) => { TEMPLATES = templates; };
+
+// "21:00-09:00" → { start, end } in minutes after midnight; null when unset
+const parseQuietHours = (spec) => {
+  if (!spec) return null;
+  const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h < 24 && m < 60 ? h * 60 + m : NaN;
+  };
+  const m = String(spec).replace(/\s+/g, '').match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+  const [start, end] = m ? [toMinutes(m[1]), toMinutes(m[2])] : [NaN, NaN];
+  if (Number.isNaN(start) || Number.isNaN(end) || start === end) {
+    throw new Error(`NOTIFY_QUIET_HOURS must look like "21:00-09:00" (got "${spec}")`);
+  }
+  return { start, end };
+};
+
+// When the current quiet hours end (ISO), or null outside quiet hours
+const quietUntil = (now = new Date()) => {
+  const quiet = parseQuietHours(config.NOTIFY_QUIET_HOURS);
+  if (!quiet) return null;
+  const local = dayjs(now).tz(config.BUSINESS_TZ);
+  const minute = local.hour() * 60 + local.minute();
+  const inside = quiet.start < quiet.end
+    ? minute >= quiet.start && minute < quiet.end
+    : minute >= quiet.start || minute < quiet.end;
+  if (!inside) return null;
+  let end = local.hour(Math.floor(quiet.end / 60)).minute(quiet.end % 60).second(0).millisecond(0);
+  if (!end.isAfter(local)) end = end.add(1, 'day');
+  return end.toISOString();
+};
+
+const activeChannels = () => config.NOTIFY_CHANNELS.map(id => CHANNELS.get(id)).filter(Boolean);
+
+/**
+ * Everything wrong with the notification setup (unknown channels, missing settings, bad
+ * templates or quiet hours). Throws one error listing it all; a no-op without NOTIFY_CHANNELS.
+ */
+const checkNotifications = () => {
+  if (!config.NOTIFY_CHANNELS.length) return;
+  const problems = [];
+  for (const id of config.NOTIFY_CHANNELS) {
+    const channel = CHANNELS.get(id);
+    if (!channel) problems.push(`unknown channel "${id}" (one of ${[...CHANNELS.keys()].join(', ')})`);
+    else problems.push(...channel.problems().map(p => `${id}: ${p}`));
+  }
+  try { parseQuietHours(config.NOTIFY_QUIET_HOURS); } catch (err) { problems.push(err.message); }
+  try { getNotifyTemplates(); } catch (err) { problems.push(err.message); }
+  if (problems.length) throw new Error(`Invalid notification setup:\n  - ${problems.join('\n  - ')}`);
+};
+
+/**
+ * ---------------- Sending ----------------
+ */
+const fieldText = (v) => String(v?.value ?? v?.displayName ?? v ?? '').trim() || null;
+
+const customerContact = (issue) => {
+  const fields = issue.fields || {};
+  return {
+    phone: config.NOTIFY_PHONE_FIELD ? fieldText(fields[config.NOTIFY_PHONE_FIELD])?.replace(/[\s()-]/g, '') || null : null,
+    email: config.NOTIFY_EMAIL_FIELD ? fieldText(fields[config.NOTIFY_EMAIL_FIELD]) : null,
+    name: config.NOTIFY_NAME_FIELD ? fieldText(fields[config.NOTIFY_NAME_FIELD]) : null
+  };
+};
+
+// Sends one message unless the issue's history already has it. Resolves to 'sent' or 'duplicate'.
+const deliver = async (m) => {
+  const sent = (await getIssueProperty(m.issueKey, NOTIFICATIONS_PROPERTY))?.sent || [];
+  if (sent.some(s => s.key === m.key && s.channel === m.channel)) {
+    console.log(`⏩ ${m.issueKey}: "${m.status}" already sent by ${m.channel}; not sending it again`);
+    return 'duplicate';
+  }
+  await CHANNELS.get(m.channel).send(m);
+  console.log(`📨 ${m.issueKey}: "${m.status}" sent to the customer by ${m.channel}`);
+  // The message is out: failing to record it must not get it held and sent again
+  const entry = { key: m.key, channel: m.channel, status: m.status, at: new Date().toISOString() };
+  try {
+    await setIssueProperty(m.issueKey, NOTIFICATIONS_PROPERTY, { sent: [...sent, entry].slice(-NOTIFICATIONS_KEPT) });
+  } catch (err) {
+    console.error(`⚠️ ${m.issueKey}: "${m.status}" was sent by ${m.channel} but could not be recorded on the issue:`, describeError(err));
+  }
+  return 'sent';
+};
+
+// Worth another attempt: SMTP 4xx replies, and what the HTTP client retries (5xx, 429, network errors)
+const isTransientSendError = (err) =>
+  (err?.responseCode ? err.responseCode >= 400 && err.responseCode < 500 : isRetryable(err, true));
+
+// Sends now, or holds for the next run (quiet hours, transient failures). Resolves to 'sent' | 'duplicate' | 'held' | 'failed'.
+const sendOrHold = async (state, m) => {
+  const until = quietUntil();
+  if (until) {
+    console.log(`🌙 ${m.issueKey}: holding the "${m.status}" ${m.channel} message until ${until} (quiet hours)`);
+    hold(state, m);
+    return 'held';
+  }
+  try {
+    return await deliver(m);
+  } catch (err) {
+    const attempts = (m.attempts || 0) + 1;
+    if (!isTransientSendError(err)) {
+      console.error(`❌ ${m.issueKey}: "${m.status}" ${m.channel} message rejected; not retrying:`, describeError(err));
+      return 'failed';
+    }
+    if (attempts >= NOTIFY_MAX_ATTEMPTS) {
+      console.error(`❌ ${m.issueKey}: giving up on the "${m.status}" ${m.channel} message after ${attempts} attempts:`, describeError(err));
+      return 'failed';
+    }
+    console.error(`❌ ${m.issueKey}: "${m.status}" ${m.channel} message failed (attempt ${attempts}); retrying next run:`, describeError(err));
+    hold(state, { ...m, attempts });
+    return 'held';
+  }
+};
+
+// One held message per issue and channel
+const hold = (state, m) => {
+  const held = (state.notifications ||= {});
+  held[m.issueKey] = [...(held[m.issueKey] || []).filter(h => h.channel !== m.channel), m];
+};
+
+/**
+ * Messages the customer about `status`, if it has a template and NOTIFY_CHANNELS is set.
+ * Resolves to the channels used, e.g. ['webhook', 'email:held'], for the run report.
+ */
+const notifyCustomer = async (state, issue, awb, tracking, status) => {
+  if (!config.NOTIFY_CHANNELS.length || config.DRY_RUN) return [];
+  const tpl = getNotifyTemplates().get(nameNorm(status));
+  if (!tpl) return [];
+
+  // A newer milestone makes whatever is still held for the issue obsolete
+  if (state.notifications?.[issue.key]) {
+    console.log(`🗑️ ${issue.key}: dropping held "${state.notifications[issue.key][0].status}" message(s); now "${status}"`);
+    delete state.notifications[issue.key];
+  }
+
+  const contact = customerContact(issue);
+  const vars = { ...commentVariables(tracking, status), customerName: contact.name };
+  const base = {
+    issueKey: issue.key, awb, status, key: commentEventKey(tracking, status), name: contact.name,
+    subject: renderText([tpl.subject], vars), text: renderText(tpl.text, vars)
+  };
+  const used = [];
+  for (const channel of activeChannels()) {
+    const to = channel.recipient(contact);
+    if (!to) {
+      console.log(`ℹ️ ${issue.key}: no ${channel.id} recipient on the issue; not notifying by ${channel.id}`);
+      continue;
+    }
+    const result = await sendOrHold(state, { ...base, channel: channel.id, to });
+    used.push(result === 'sent' ? channel.id : `${channel.id}:${result}`);
+  }
+  return used;
+};
+
+// Sends the messages held by earlier runs, once quiet hours are over
+const sendHeldNotifications = async (state) => {
+  const held = state.notifications || {};
+  const count = Object.values(held).flat().length;
+  if (!count || config.DRY_RUN || !config.NOTIFY_CHANNELS.length || quietUntil()) return;
+  console.log(`📨 Sending ${count} held customer notification(s)`);
+  state.notifications = {};
+  for (const messages of Object.values(held)) {
+    for (const m of messages) {
+      if (config.NOTIFY_CHANNELS.includes(m.channel)) await sendOrHold(state, m);
+    }
+  }
+};
+
+module.exports = {
+  NOTIFICATIONS_PROPERTY,
+  CHANNELS,
+  registerChannel,
+  loadNotifyTemplates,
+  getNotifyTemplates,
+  setNotifyTemplates,
+  quietUntil,
+  checkNotifications,
+  customerContact,
+  notifyCustomer,
+  sendHeldNotifications
+};
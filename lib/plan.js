@@ -0,0 +1,199 @@
+const { config } = require('./config');
+const { jiraDateValue, sameJiraDate } = require('./time');
+const { findVerifiedCancellation } = require('./classify');
+const { buildStatusComment } = require('./comments');
+const { buildChargeUpdates } = require('./charges');
+
+/**
+ * ---------------- Field updates ----------------
+ * Dates are the BUSINESS_TZ calendar day of the carrier timestamp (or the timestamp itself for
+ * DATETIME_FIELDS), see lib/time.js.
+ */
+const buildDateUpdates = (issue, t, updatedStatus) => {
+  const out = {};
+  const cur = issue.fields || {};
+  const set = (field, when) => {
+    const v = jiraDateValue(field, when);
+    if (v && !sameJiraDate(field, cur[field], v)) out[field] = v;
+  };
+
+  // Dispatch Date
+  if (t.dates?.pickedUp) set(config.DISPATCH_DATE_FIELD, t.dates.pickedUp);
+
+  // Delivery Date (forward only)
+  if (t.dates?.delivered && updatedStatus === 'DELIVERED') set(config.DELIVERY_DATE_FIELD, t.dates.delivered);
+
+  // RTO Delivered Date (return only)
+  if (t.dates?.returned && updatedStatus === 'RTO DELIVERED') set(config.RTO_DELIVERED_DATE_FIELD, t.dates.returned);
+
+  return out;
+};
+
+const getLatestInstruction = (t) => {
+  if (!t) return null;
+  const statusIns = t.status?.instructions && String(t.status.instructions).trim();
+  const statusWhen = t.status?.at || t.dates?.delivered || t.dates?.destinationReceived || null;
+  const statusWhere = t.status?.location || null;
+  const statusCode = t.status?.code || null;
+
+  if (statusIns) return { instruction: statusIns, when: statusWhen, where: statusWhere, code: statusCode };
+
+  // Fallback to most recent scan
+  const scans = Array.isArray(t.scans) ? t.scans : [];
+  const latest = scans
+    .filter(sc => sc.instructions || sc.text)
+    .sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0))[0];
+
+  if (!latest) return null;
+  return {
+    instruction: String(latest.instructions || latest.text || '').trim(),
+    when: latest.statusAt || latest.at || null,
+    where: latest.location || null,
+    code: latest.code || null
+  };
+};
+
+const getOFDWhen = (tracking, latestIns) => {
+  if (latestIns && /out for delivery/i.test(latestIns.instruction || '') && latestIns.when) {
+    return latestIns.when;
+  }
+  if (/out for delivery/i.test(String(tracking?.status?.instructions || tracking?.status?.text || ''))) {
+    if (tracking?.status?.at) return tracking.status.at;
+  }
+  const scans = Array.isArray(tracking?.scans) ? tracking.scans : [];
+  const ofdScan = scans
+    .filter(sc => /out for delivery/i.test(String(sc.instructions || sc.text || '')))
+    .sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0))[0];
+  if (ofdScan) return ofdScan.statusAt || ofdScan.at;
+
+  return tracking?.status?.at || null;
+};
+
+/**
+ * ---------------- Planning ----------------
+ * Everything run() would write for one issue: field updates and the transition comment
+ * ({ key, text, adf }, see lib/comments.js).
+ * Pure decision logic (no Jira calls) so dry-run can print it instead of applying it.
+ */
+const planIssueChanges = (issue, tracking, updatedStatus) => {
+  const customFields = buildDateUpdates(issue, tracking, updatedStatus);
+
+  // Promised Delivery Date (write-once, forward)
+  const existingPDD = issue.fields?.[config.PROMISED_DELIVERY_DATE_FIELD];
+  if (!existingPDD) {
+    const rawPDD = tracking?.dates?.promised;
+    if (rawPDD) {
+      const pdd = jiraDateValue(config.PROMISED_DELIVERY_DATE_FIELD, rawPDD);
+      if (pdd) {
+        customFields[config.PROMISED_DELIVERY_DATE_FIELD] = pdd;
+        console.log(`🗓️ Promised Delivery Date (forward) prepared for ${issue.key}: ${pdd}`);
+      }
+    }
+  } else {
+    console.log(`🗓️ Promised Delivery Date already set for ${issue.key} (${existingPDD}); not overwriting.`);
+  }
+
+  // Latest PDD (overwrite allowed, forward)
+  const rawLatestPDD = tracking?.dates?.expected || tracking?.dates?.promised || null;
+  if (rawLatestPDD) {
+    const newPdd = jiraDateValue(config.LATEST_PDD_FIELD, rawLatestPDD);
+    const currentPdd = issue.fields?.[config.LATEST_PDD_FIELD] || null;
+    if (newPdd && !sameJiraDate(config.LATEST_PDD_FIELD, currentPdd, newPdd)) {
+      customFields[config.LATEST_PDD_FIELD] = newPdd;
+      if (currentPdd) console.log(`🗓️ Latest PDD updated for ${issue.key}: ${currentPdd} -> ${newPdd}`);
+      else console.log(`🗓️ Latest PDD set for ${issue.key}: ${newPdd}`);
+    } else if (newPdd) {
+      console.log(`🗓️ Latest PDD unchanged for ${issue.key}: ${currentPdd}`);
+    }
+  } else {
+    console.log(`🗓️ No forward PDD present in payload for ${issue.key}; skipping Latest PDD.`);
+  }
+
+  // FIXED: Only write RTO reason/initiated date if final status is RTO
+  const cancelEvent = findVerifiedCancellation(tracking);
+  if (cancelEvent && (updatedStatus === 'RTO IN - TRANSIT' || updatedStatus === 'RTO DELIVERED')) {
+    const reasonText = String(cancelEvent.instructions || '').trim();
+    const when = cancelEvent.statusAt || cancelEvent.at;
+    const dateYmd = when ? jiraDateValue(config.RTO_INITIATED_DATE_FIELD, when) : null;
+
+    const currentReason = issue.fields?.[config.RTO_REASON_FIELD];
+    const currentRtoDate = issue.fields?.[config.RTO_INITIATED_DATE_FIELD];
+
+    if (!currentReason && reasonText) {
+      customFields[config.RTO_REASON_FIELD] = reasonText;
+      console.log(`🏷️ RTO Reason (write-once) set for ${issue.key}: ${reasonText}`);
+    } else if (currentReason) {
+      console.log(`🏷️ RTO Reason already set for ${issue.key} (${currentReason}); not overwriting.`);
+    }
+
+    if (!currentRtoDate && dateYmd) {
+      customFields[config.RTO_INITIATED_DATE_FIELD] = dateYmd;
+      console.log(`📅 RTO Initiated Date (write-once) set for ${issue.key}: ${dateYmd}`);
+    } else if (currentRtoDate) {
+      console.log(`📅 RTO Initiated Date already set for ${issue.key} (${currentRtoDate}); not overwriting.`);
+    }
+  } else {
+    if (cancelEvent) {
+      console.log(`ℹ️ Verified cancellation exists but final status is "${updatedStatus}". Not writing RTO fields.`);
+    } else {
+      console.log(`ℹ️ No verified cancellation match for ${issue.key}`);
+    }
+  }
+
+  // Latest instruction (short)
+  const latestIns = getLatestInstruction(tracking);
+  if (latestIns) {
+    const instrOnly = latestIns.instruction || '';
+    const currentInstr = issue.fields?.[config.LATEST_INSTRUCTION_FIELD] || '';
+    if (instrOnly && currentInstr !== instrOnly) {
+      customFields[config.LATEST_INSTRUCTION_FIELD] = instrOnly;
+      console.log(`ℹ️ Latest instruction (plain) prepared for ${issue.key}: ${instrOnly}`);
+    } else if (instrOnly) {
+      console.log(`ℹ️ Instruction unchanged for ${issue.key}: ${instrOnly}`);
+    } else {
+      console.log(`ℹ️ Instruction computed empty for ${issue.key}`);
+    }
+
+    // Out for Delivery Date (write-once) — from INSTRUCTION
+    const existingOFD = issue.fields?.[config.OUT_FOR_DELIVERY_DATE_FIELD];
+    if (!existingOFD && /out for delivery/i.test(instrOnly)) {
+      const whenFromInstr = getOFDWhen(tracking, latestIns);
+      if (whenFromInstr) {
+        const ofdDate = jiraDateValue(config.OUT_FOR_DELIVERY_DATE_FIELD, whenFromInstr);
+        if (ofdDate) {
+          customFields[config.OUT_FOR_DELIVERY_DATE_FIELD] = ofdDate;
+          console.log(`🚚 Out-for-delivery date (write-once) set from INSTRUCTION for ${issue.key}: ${ofdDate}`);
+        }
+      }
+    } else if (existingOFD) {
+      console.log(`🚚 Out-for-delivery date already set for ${issue.key} (${existingOFD}); not overwriting.`);
+    }
+  } else {
+    console.log(`ℹ️ No instruction found in payload for ${issue.key}`);
+  }
+
+  // Out for Delivery Date (write-once) — from STATUS fallback
+  const existingOFD2 = issue.fields?.[config.OUT_FOR_DELIVERY_DATE_FIELD];
+  if (!existingOFD2 && updatedStatus === 'OUT FOR DELIVERY') {
+    const whenFromStatus = getOFDWhen(tracking, latestIns);
+    if (whenFromStatus) {
+      const ofdDate = jiraDateValue(config.OUT_FOR_DELIVERY_DATE_FIELD, whenFromStatus);
+      if (ofdDate) {
+        customFields[config.OUT_FOR_DELIVERY_DATE_FIELD] = ofdDate;
+        console.log(`🚚 Out-for-delivery date (write-once) set from STATUS for ${issue.key}: ${ofdDate}`);
+      }
+    }
+  } else if (existingOFD2) {
+    console.log(`🚚 Out-for-delivery date already set for ${issue.key} (${existingOFD2}); not overwriting.`);
+  }
+
+  // Weight, value, COD and payment mode as the carrier charged them (lib/charges.js)
+  Object.assign(customFields, buildChargeUpdates(issue, tracking));
+
+  // Comment (config/comment-templates.json)
+  const comment = buildStatusComment(tracking, updatedStatus, { instruction: latestIns?.instruction });
+
+  return { customFields, comment };
+};
+
+module.exports = { buildDateUpdates, getLatestInstruction, getOFDWhen, planIssueChanges };
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { config, readConfig } = require('./config');
+
+/**
+ * ---------------- Profiles ----------------
+ * PROFILES_FILE lists several Jira projects (brands) that one run serves in turn:
+ *
+ *   { "profiles": [
+ *       { "name": "instasport", "env": { "JIRA_PROJECT": "OPS" } },
+ *       { "name": "brandx",
+ *         "env": { "JIRA_PROJECT": "BX", "DELHIVERY_TOKEN": "$BRANDX_DELHIVERY_TOKEN", "TRACKING_FIELD": "customfield_20100" },
+ *         "assignees": { "DELIVERED": "712020:...", "RTO DELIVERED": null },
+ *         "statusAliases": { "RTO IN - TRANSIT": ["Returning"] } } ] }
+ *
+ * `env` takes the same variables as the environment and overrides them for that profile only;
+ * a "$NAME" value is read from the environment, so tokens stay out of the file. Each profile
+ * gets its own state file, run report and discrepancy CSV (".<name>" before the extension).
+ * Without PROFILES_FILE the environment is the single profile. The status rules file is shared.
+ */
+const PROFILE_KEYS = ['name', 'env', 'assignees', 'statusAliases'];
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+const validateProfiles = (doc, source) => {
+  const errors = [];
+  if (!Array.isArray(doc?.profiles) || !doc.profiles.length) errors.push('"profiles" must be a non-empty array');
+  const names = new Set();
+  (Array.isArray(doc?.profiles) ? doc.profiles : []).forEach((p, i) => {
+    const where = `profiles[${i}]${p?.name ? ` ("${p.name}")` : ''}`;
+    if (!isPlainObject(p)) return errors.push(`${where} must be an object`);
+    for (const key of Object.keys(p)) {
+      if (!PROFILE_KEYS.includes(key)) errors.push(`${where}: unknown key "${key}"`);
+    }
+    if (!NAME_RE.test(p.name || '')) errors.push(`${where}: "name" must be letters, digits, "-" or "_"`);
+    else if (names.has(p.name)) errors.push(`${where}: duplicate name`);
+    names.add(p.name);
+    if (p.env !== undefined && !(isPlainObject(p.env) && Object.values(p.env).every(v => typeof v === 'string'))) {
+      errors.push(`${where}: "env" must map variable names to strings`);
+    }
+    if (p.assignees !== undefined && !(isPlainObject(p.assignees) && Object.values(p.assignees).every(v => v === null || typeof v === 'string'))) {
+      errors.push(`${where}: "assignees" must map Jira statuses to an accountId or null`);
+    }
+    if (p.statusAliases !== undefined && !(isPlainObject(p.statusAliases) &&
+        Object.values(p.statusAliases).every(v => Array.isArray(v) && v.every(s => typeof s === 'string')))) {
+      errors.push(`${where}: "statusAliases" must map statuses to lists of names`);
+    }
+  });
+  if (errors.length) throw new Error(`Invalid profiles in ${source}:\n  - ${errors.join('\n  - ')}`);
+};
+
+// Without PROFILES_FILE: one implicit profile, which leaves config exactly as the environment set it
+const loadProfiles = (file = config.PROFILES_FILE) => {
+  if (!file) return [{ name: 'default', implicit: true }];
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read profiles from ${file}: ${err.message}`);
+  }
+  validateProfiles(doc, file);
+  return doc.profiles;
+};
+
+// "$NAME" → process.env.NAME; a missing variable fails only the profile that needs it
+const expandEnv = (vars, env) => Object.fromEntries(Object.entries(vars).map(([k, v]) => {
+  const ref = v.match(/^\$([A-Za-z_][A-Za-z0-9_]*)$/);
+  if (!ref) return [k, v];
+  if (env[ref[1]] === undefined) throw new Error(`${k} refers to $${ref[1]}, which is not set`);
+  return [k, env[ref[1]]];
+}));
+
+// ".poller-state.json" → ".poller-state.brandx.json"
+const perProfileFile = (file, name) => {
+  if (!file) return file;
+  const { dir, name: base, ext } = path.parse(file);
+  return path.join(dir, `${base}.${name}${ext}`);
+};
+
+/**
+ * The config properties a profile changes. Its env is run through readConfig so every variable
+ * is parsed exactly as at startup; only the properties it actually changes are overridden.
+ */
+const profileOverrides = (profile, env = process.env) => {
+  if (profile.implicit) return {};
+  const before = readConfig(env);
+  const after = readConfig({ ...env, ...expandEnv(profile.env || {}, env) });
+  const changed = Object.keys(after).filter(k => JSON.stringify(after[k]) !== JSON.stringify(before[k]));
+  const overrides = Object.fromEntries(changed.map(k => [k, after[k]]));
+  return {
+    ...overrides,
+    STATE_FILE: overrides.STATE_FILE || perProfileFile(config.STATE_FILE, profile.name),
+    REPORT_FILE: overrides.REPORT_FILE ?? perProfileFile(config.REPORT_FILE, profile.name),
+    DISCREPANCY_CSV_FILE: overrides.DISCREPANCY_CSV_FILE ?? perProfileFile(config.DISCREPANCY_CSV_FILE, profile.name),
+    ASSIGNEE_RULES: profile.assignees || {},
+    JIRA_STATUS_ALIASES: profile.statusAliases || {}
+  };
+};
+
+// Runs fn with the profile applied to `config`, then puts every property back
+const withProfile = async (profile, fn) => {
+  const saved = { ...config };
+  try {
+    Object.assign(config, profileOverrides(profile));
+    return await fn();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+module.exports = { loadProfiles, validateProfiles, profileOverrides, withProfile };
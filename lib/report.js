@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { createHttpClient } = require('./http');
+const { CARRIERS } = require('./carriers');
+
+/**
+ * ---------------- Run report ----------------
+ * One row per issue the run looked at:
+ *
+ *   { key, awb, carrier, outcome, from, to, rule, confidence, fields, flags, ndr, notified, discrepancies, error, detail }
+ *
+ * `rule` and `confidence` come from the classification decision (lib/decision.js).
+ * `notified` lists the customer notification channels used, e.g. ["webhook", "email:held"]
+ * (held: waiting for the end of quiet hours or a retry, see lib/notify.js).
+ * `discrepancies` are the weight / COD differences seen, [{ check, expected, actual, difference }]
+ * (lib/charges.js, which also exports them to DISCREPANCY_CSV_FILE).
+ *
+ * `mode` is 'poll', 'sweep' (stale issues, see run()) or 'one-off' (chosen issues, cli.js sync);
+ * `profile` names the PROFILES_FILE entry, if any. outcome is one of OUTCOMES. The report is written to REPORT_FILE (JSON) and, when
+ * REPORT_WEBHOOK_URL is set, summarised to an incoming webhook ({ text } is what Slack
+ * reads; the counts and problem rows ride along for other consumers).
+ */
+const OUTCOMES = [
+  'updated',          // transitioned (plus fields/comment)
+  'fields-updated',   // status already right, fields written
+  'unchanged',        // nothing to write
+  'skipped',          // settled in the state store, not re-processed
+  'planned',          // dry-run: would change
+  'no-awb',
+  'no-tracking',
+  'unknown-status',
+  'no-transition',    // workflow has no transition to the target; fields-only fallback
+  'expired',          // stale sweep: carrier has no tracking any more, labelled for manual closing
+  'blocked',          // the lifecycle forbids the move (e.g. a regression); labelled for review, nothing written
+  'failed'
+];
+// Outcomes that need a human, highlighted in the webhook summary
+const PROBLEMS = ['unknown-status', 'blocked', 'no-transition', 'no-tracking', 'expired', 'failed'];
+const WEBHOOK_LIST_LIMIT = 20;
+
+const createRunReport = ({ mode = 'poll', profile = null } = {}) => {
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    mode,
+    profile,
+    project: config.JIRA_PROJECT,
+    dryRun: config.DRY_RUN,
+    rulesRevision: null,
+    error: null,
+    counts: Object.fromEntries(OUTCOMES.map(o => [o, 0])),
+    issues: []
+  };
+
+  const add = ({ key, awb = null, carrier = null, outcome, from = null, to = null, rule = null, confidence = null, fields = [], flags = [], ndr = null, notified = [], discrepancies = [], error = null, detail = null }) => {
+    report.counts[outcome] = (report.counts[outcome] || 0) + 1;
+    report.issues.push({ key, awb, carrier, outcome, from, to, rule, confidence, fields, flags, ndr, notified, discrepancies, error, detail });
+  };
+
+  const finish = (extra = {}) => {
+    Object.assign(report, extra, { finishedAt: new Date().toISOString() });
+    return report;
+  };
+
+  return { report, add, finish };
+};
+
+const writeReport = (file, report) => {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+  console.log(`🧾 Run report written to ${file}`);
+};
+
+const problemLine = (row) => {
+  const where = `${row.key}${row.awb ? ` (awb ${row.awb})` : ''}`;
+  if (row.outcome === 'unknown-status') return `• ${where}: ${CARRIERS.get(row.carrier)?.name || 'carrier'} status "${row.detail || '?'}"`;
+  if (row.outcome === 'blocked') return `• ${where}: kept "${row.from}", not "${row.to}" (${row.detail})`;
+  if (row.outcome === 'no-transition') return `• ${where}: no transition "${row.from}" → "${row.to}"`;
+  if (row.outcome === 'no-tracking') return `• ${where}: no tracking payload`;
+  if (row.outcome === 'expired') return `• ${where}: no tracking any more, labelled ${config.TRACKING_EXPIRED_LABEL}`;
+  return `• ${where}: ${row.error || 'failed'}`;
+};
+
+const summarizeReport = (report) => {
+  const c = report.counts;
+  const totals = report.dryRun
+    ? `${c.planned} would change, ${c.unchanged + c.skipped} unchanged`
+    : `${c.updated} updated, ${c['fields-updated']} fields-only, ${c.unchanged + c.skipped} unchanged`;
+  const lines = [`📊 Delhivery → Jira ${report.mode === 'sweep' ? 'stale sweep' : 'sync'}${report.project ? ` (${report.project})` : ''}` +
+    `${report.dryRun ? ' [dry-run]' : ''}: ${totals}`];
+
+  if (report.error) lines.push(`💥 Run aborted: ${report.error}`);
+
+  const sections = [
+    ['❓ Unknown statuses', 'unknown-status'],
+    ['⛔ Blocked status moves', 'blocked'],
+    ['❌ Failed updates', 'failed'],
+    ['🚧 No matching transition', 'no-transition'],
+    ['📭 No tracking payload', 'no-tracking'],
+    ['⌛ Tracking expired', 'expired']
+  ];
+  for (const [title, outcome] of sections) {
+    const rows = report.issues.filter(r => r.outcome === outcome);
+    if (!rows.length) continue;
+    lines.push('', `*${title} (${rows.length})*`, ...rows.slice(0, WEBHOOK_LIST_LIMIT).map(problemLine));
+    if (rows.length > WEBHOOK_LIST_LIMIT) lines.push(`…and ${rows.length - WEBHOOK_LIST_LIMIT} more (see the run report)`);
+  }
+  const flagged = report.issues.filter(r => r.flags?.length);
+  if (flagged.length) {
+    lines.push('', `*🚨 New SLA alerts (${flagged.length})*`,
+      ...flagged.slice(0, WEBHOOK_LIST_LIMIT).map(r => `• ${r.key} (awb ${r.awb}): ${r.flags.join(', ')}`));
+    if (flagged.length > WEBHOOK_LIST_LIMIT) lines.push(`…and ${flagged.length - WEBHOOK_LIST_LIMIT} more (see the run report)`);
+  }
+  const notices = report.issues.flatMap(r => r.notified || []);
+  if (notices.length) {
+    const sent = notices.filter(n => !n.includes(':')).length;
+    const held = notices.filter(n => n.endsWith(':held')).length;
+    lines.push('', `📨 ${sent} customer notification(s) sent${held ? `, ${held} held for a later run` : ''}`);
+  }
+  const discrepancies = report.issues.flatMap(r => r.discrepancies || []);
+  if (discrepancies.length) {
+    const count = (check) => discrepancies.filter(d => d.check === check).length;
+    lines.push('', `💰 ${discrepancies.length} charge discrepancy(ies): ${count('weight')} weight, ${count('cod')} COD`);
+  }
+  if (c['no-awb']) lines.push('', `⚠️ ${c['no-awb']} issue(s) without a valid AWB`);
+  return lines.join('\n');
+};
+
+const webhook = createHttpClient({ name: 'webhook' });
+
+// Best effort: a failed notification is logged, never fails the run
+const postReportWebhook = async (url, report) => {
+  try {
+    await webhook.post(url, {
+      text: summarizeReport(report),
+      counts: report.counts,
+      problems: report.issues.filter(r => PROBLEMS.includes(r.outcome))
+    });
+    console.log('📣 Run summary posted to webhook');
+  } catch (err) {
+    console.error('❌ Failed to post run summary to webhook:', err.response?.status || err.message);
+  }
+};
+
+module.exports = {
+  OUTCOMES,
+  PROBLEMS,
+  createRunReport,
+  writeReport,
+  summarizeReport,
+  postReportWebhook
+};
@@ -0,0 +1,363 @@
+const fs = require('fs');
+
+/**
+ * ---------------- Status rules ----------------
+ * Loads the declarative classifier (config/status-rules.json):
+ *
+ *   version      schema version of the file (this loader reads 2; version 1 is upgraded on load)
+ *   revision     free-form ruleset revision, logged and stored with each shipment
+ *   rules        [{ id, priority, field, match, pattern, flags?, carriers?, status, description? }]
+ *   statusMap    { <carrier>: { <carrier status text>: <Jira status> } }, used when no rule fires
+ *   jiraStatusAliases, verifiedCancellationPhrases
+ *
+ * Rules run by ascending priority (file order breaks ties); the first match wins.
+ * Rules see the common shipment model (lib/carriers/index.js), not a carrier payload.
+ * `field` is a dotted path into it (e.g. "status.instructions"), or a list of paths (first non-empty value).
+ * `carriers` limits a rule to some carrier ids; without it the rule applies to every carrier.
+ * `match` is one of:
+ *   substring  case-insensitive `includes`
+ *   regex      RegExp(pattern, flags), flags default "i"
+ *   present    field is truthy
+ *   predicate  built-in check on the whole Shipment, named by `pattern` (see PREDICATES)
+ * `confidence` (high, medium, low) is how far an agent should trust the rule; without it, predicates and
+ * `present` checks are high, instruction text (free-form scan remarks) is low and other fields are medium.
+ * The statusMap fallback is always low.
+ */
+const RULES_SCHEMA_VERSION = 2;
+const MATCH_TYPES = ['substring', 'regex', 'present', 'predicate'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasRecentRTScan = (tracking, lookback = 8) => {
+  const scans = Array.isArray(tracking?.scans) ? tracking.scans : [];
+  return scans.slice(-lookback).some(x => x?.leg === 'return');
+};
+
+// A final scan that mentions RTO (or the consignor accepting the return) closes the return leg
+const isReturnHandover = (x) => !!x?.final &&
+  (String(x.text || '').toLowerCase().includes('rto') || String(x.instructions || '').toLowerCase().includes('return accepted'));
+
+const hasTerminalRTO = (t) => {
+  if (t?.dates?.returned) return true;
+  if (isReturnHandover(t?.status)) return true;
+  const scans = Array.isArray(t?.scans) ? t.scans : [];
+  return scans.some(isReturnHandover);
+};
+
+// What a decision matched on: { field, text } for a value, { scan } for a scan
+const scanEvidence = (x) => ({
+  scan: { at: x.at || null, text: x.text || null, location: x.location || null, instructions: x.instructions || null }
+});
+
+// Predicates receive (shipment, ruleset) and return the evidence they matched, or null
+const PREDICATES = {
+  hasTerminalRTO: (t) => {
+    if (t?.dates?.returned) return { field: 'dates.returned', text: String(t.dates.returned) };
+    if (isReturnHandover(t?.status)) return scanEvidence(t.status);
+    const scan = (Array.isArray(t?.scans) ? t.scans : []).find(isReturnHandover);
+    return scan ? scanEvidence(scan) : null;
+  },
+  hasRecentRTScan: (t) => {
+    const scans = Array.isArray(t?.scans) ? t.scans : [];
+    const scan = scans.slice(-8).reverse().find(x => x?.leg === 'return');
+    return scan ? scanEvidence(scan) : null;
+  },
+  // A return-leg scan after the delivery date: a delivered shipment on its way back
+  hasReturnAfterDelivery: (t) => {
+    const delivered = Date.parse(t?.dates?.delivered || '');
+    if (Number.isNaN(delivered)) return null;
+    const scans = Array.isArray(t?.scans) ? t.scans : [];
+    const scan = scans.filter(x => x?.leg === 'return' && Date.parse(x.at || '') > delivered).pop();
+    return scan ? scanEvidence(scan) : null;
+  },
+  isVerifiedCancellation: (t, ruleset) => {
+    const text = String(t?.status?.instructions || '');
+    return ruleset.verifiedCancellationRe.test(text) ? { field: 'status.instructions', text } : null;
+  }
+};
+
+/**
+ * ---------------- Version 1 files ----------------
+ * Version 1 addressed the Delhivery `Shipment` directly and had one flat statusMap.
+ * Its paths are rewritten onto the common model, which is how replay can still compare
+ * against rules files from before carriers existed.
+ */
+const V1_FIELD_PATHS = {
+  'AWB': 'awb',
+  'ReferenceNo': 'reference',
+  'Status.Status': 'status.text',
+  'Status.StatusType': 'status.type',
+  'Status.ScanType': 'status.type',
+  'Status.StatusCode': 'status.code',
+  'Status.StatusDateTime': 'status.at',
+  'Status.StatusLocation': 'status.location',
+  'Status.Instructions': 'status.instructions',
+  'OriginRecieveDate': 'dates.pickedUp',
+  'DestRecieveDate': 'dates.destinationReceived',
+  'PromisedDeliveryDate': 'dates.promised',
+  'ExpectedDeliveryDate': 'dates.expected',
+  'DeliveryDate': 'dates.delivered',
+  'ReturnedDate': 'dates.returned',
+  'RTOStartedDate': 'dates.rtoStarted',
+  'ReverseInTransit': 'returnFlow'
+};
+
+const upgradeRulesDoc = (doc) => {
+  if (doc?.version !== 1) return doc;
+  const upgradePath = (p) => V1_FIELD_PATHS[p] || p; // paths with no model equivalent are kept and never match
+  return {
+    ...doc,
+    version: 2,
+    rules: Array.isArray(doc.rules) ? doc.rules.map(rule => {
+      if (!rule || rule.field === undefined) return rule;
+      const fields = [...new Set([].concat(rule.field).map(upgradePath))];
+      return { ...rule, field: fields.length === 1 ? fields[0] : fields };
+    }) : doc.rules,
+    statusMap: { delhivery: doc.statusMap }
+  };
+};
+
+const readPath = (obj, dotted) => dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+// { field, value } for the first non-empty path, or null
+const readField = (t, field) => {
+  for (const p of [].concat(field)) {
+    const v = readPath(t, p);
+    if (v !== undefined && v !== null && v !== '') return { field: p, value: v };
+  }
+  return null;
+};
+
+/**
+ * ---------------- Validation ----------------
+ */
+const validateRule = (rule, index, seenIds) => {
+  const errors = [];
+  const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+  if (!rule || typeof rule !== 'object') return [`${where}: must be an object`];
+
+  if (!rule.id || typeof rule.id !== 'string') errors.push(`${where}: "id" is required`);
+  else if (seenIds.has(rule.id)) errors.push(`${where}: duplicate id "${rule.id}"`);
+  else seenIds.add(rule.id);
+
+  if (!Number.isFinite(rule.priority)) errors.push(`${where}: "priority" must be a number`);
+  if (!rule.status || typeof rule.status !== 'string') errors.push(`${where}: "status" is required`);
+  if (rule.carriers !== undefined && (!Array.isArray(rule.carriers) || !rule.carriers.every(c => typeof c === 'string' && c))) {
+    errors.push(`${where}: "carriers" must be a list of carrier ids`);
+  }
+  if (rule.confidence !== undefined && !CONFIDENCE_LEVELS.includes(rule.confidence)) {
+    errors.push(`${where}: "confidence" must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+  if (!MATCH_TYPES.includes(rule.match)) {
+    errors.push(`${where}: "match" must be one of ${MATCH_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  if (rule.match === 'predicate') {
+    if (!PREDICATES[rule.pattern]) errors.push(`${where}: unknown predicate "${rule.pattern}" (known: ${Object.keys(PREDICATES).join(', ')})`);
+    return errors;
+  }
+
+  const fields = [].concat(rule.field || []);
+  if (!fields.length || fields.some(f => typeof f !== 'string' || !f)) errors.push(`${where}: "field" must be a path or a list of paths`);
+
+  if (rule.match === 'substring' && (typeof rule.pattern !== 'string' || !rule.pattern)) {
+    errors.push(`${where}: substring rules need a non-empty "pattern"`);
+  }
+  if (rule.match === 'regex') {
+    try { new RegExp(rule.pattern, rule.flags ?? 'i'); }
+    catch (err) { errors.push(`${where}: invalid regex: ${err.message}`); }
+  }
+  return errors;
+};
+
+const validateRulesDoc = (doc) => {
+  const errors = [];
+  if (!doc || typeof doc !== 'object') return ['file must contain a JSON object'];
+  if (doc.version !== RULES_SCHEMA_VERSION) errors.push(`"version" must be ${RULES_SCHEMA_VERSION} or 1 (got ${JSON.stringify(doc.version)})`);
+  if (!doc.revision) errors.push('"revision" is required');
+  if (!Array.isArray(doc.rules)) errors.push('"rules" must be an array');
+  else {
+    const seenIds = new Set();
+    doc.rules.forEach((rule, i) => errors.push(...validateRule(rule, i, seenIds)));
+  }
+
+  const isStringMap = (m) => m && typeof m === 'object' && Object.values(m).every(v => typeof v === 'string');
+  const maps = doc.statusMap;
+  if (!maps || typeof maps !== 'object' || !Object.values(maps).every(isStringMap)) {
+    errors.push('"statusMap" must map each carrier id to { carrier status: Jira status }');
+  }
+
+  const aliases = doc.jiraStatusAliases || {};
+  if (typeof aliases !== 'object' || !Object.values(aliases).every(v => Array.isArray(v) && v.every(a => typeof a === 'string'))) {
+    errors.push('"jiraStatusAliases" must map Jira statuses to lists of names');
+  }
+
+  const phrases = doc.verifiedCancellationPhrases;
+  if (!Array.isArray(phrases) || !phrases.length || !phrases.every(p => typeof p === 'string' && p)) {
+    errors.push('"verifiedCancellationPhrases" must be a non-empty list of phrases');
+  }
+  return errors;
+};
+
+/**
+ * ---------------- Reachability ----------------
+ * `covers(a, b)`: whenever rule b would match, the earlier rule a has already matched.
+ * Conservative — only cases we can prove statically are reported.
+ */
+const sameField = (a, b) => JSON.stringify([].concat(a.field)) === JSON.stringify([].concat(b.field));
+const isPlainRegex = (r) => !/[\^$]|\\[bB1-9]|\(\?/.test(r.pattern) && (r.flags ?? 'i').includes('i');
+
+// a's carriers include every carrier b can see
+const carriersCover = (a, b) => !a.carriers || (!!b.carriers && b.carriers.every(c => a.carriers.includes(c)));
+
+const covers = (a, b) => {
+  if (!carriersCover(a, b)) return false;
+  if (a.match === 'predicate' || b.match === 'predicate') {
+    return a.match === b.match && a.pattern === b.pattern;
+  }
+  if (!sameField(a, b)) return false;
+  if (a.match === 'present') return true;
+  if (b.match === 'present') return false;
+  if (a.match === 'substring' && b.match === 'substring') {
+    return b.pattern.toLowerCase().includes(a.pattern.toLowerCase());
+  }
+  if (a.match === 'regex' && b.match === 'substring') {
+    return isPlainRegex(a) && new RegExp(a.pattern, a.flags ?? 'i').test(b.pattern);
+  }
+  if (a.match === 'regex' && b.match === 'regex') {
+    return a.pattern === b.pattern && (a.flags ?? 'i') === (b.flags ?? 'i');
+  }
+  return false;
+};
+
+const findShadowedRules = (ordered) => {
+  const warnings = [];
+  ordered.forEach((b, i) => {
+    const a = ordered.slice(0, i).find(prev => covers(prev, b));
+    if (!a) return;
+    warnings.push(a.status === b.status
+      ? `rule "${b.id}" is unreachable: "${a.id}" (priority ${a.priority}) already matches everything it does`
+      : `rule "${b.id}" (→ ${b.status}) is shadowed by "${a.id}" (priority ${a.priority}, → ${a.status}) and can never fire`);
+  });
+  return warnings;
+};
+
+/**
+ * ---------------- Loading ----------------
+ */
+// Compiled tests return the evidence ({ field, text } or { scan }) when the rule matches, else null
+const compileRule = (rule) => {
+  const onField = (check) => (t) => {
+    const found = readField(t, rule.field);
+    const text = String(found?.value ?? '');
+    return found && check(found.value, text) ? { field: found.field, text } : null;
+  };
+  switch (rule.match) {
+    case 'substring': {
+      const needle = rule.pattern.toLowerCase();
+      return onField((v, text) => text.toLowerCase().includes(needle));
+    }
+    case 'regex': {
+      const re = new RegExp(rule.pattern, rule.flags ?? 'i');
+      return onField((v, text) => re.test(text));
+    }
+    case 'present':
+      return onField(v => !!v);
+    case 'predicate':
+      return (t, ruleset) => PREDICATES[rule.pattern](t, ruleset) || null;
+  }
+};
+
+const defaultConfidence = (rule) => {
+  if (rule.match === 'predicate' || rule.match === 'present') return 'high';
+  return [].concat(rule.field).some(f => /(^|\.)instructions$/.test(f)) ? 'low' : 'medium';
+};
+
+const buildRuleset = (input, source = 'rules') => {
+  const doc = upgradeRulesDoc(input);
+  const errors = validateRulesDoc(doc);
+  if (errors.length) {
+    throw new Error(`Invalid status rules in ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const ordered = doc.rules
+    .map((rule, order) => ({ ...rule, order }))
+    .sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+  return {
+    version: doc.version,
+    upgradedFrom: input.version !== doc.version ? input.version : null,
+    revision: String(doc.revision),
+    source,
+    rules: ordered.map(rule => ({ ...rule, confidence: rule.confidence || defaultConfidence(rule), test: compileRule(rule) })),
+    statusMap: doc.statusMap,
+    jiraStatusAliases: doc.jiraStatusAliases || {},
+    verifiedCancellationRe: new RegExp(doc.verifiedCancellationPhrases.map(escapeRe).join('|'), 'i'),
+    warnings: findShadowedRules(ordered)
+  };
+};
+
+const loadRules = (file) => {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read status rules from ${file}: ${err.message}`);
+  }
+  return buildRuleset(doc, file);
+};
+
+/**
+ * Returns { status, rule, decision } for the first matching rule, falling back to the carrier's
+ * statusMap (rule id "status-map"). status, rule and decision are null when nothing applies.
+ *
+ * decision is what gets recorded on the issue (lib/decision.js):
+ *   { status, ruleId, matched: { field, text } | { scan }, confidence, rulesRevision }
+ */
+const evaluateRules = (ruleset, t) => {
+  const decide = (rule, matched) => ({
+    status: rule.status,
+    rule,
+    decision: { status: rule.status, ruleId: rule.id, matched, confidence: rule.confidence, rulesRevision: ruleset.revision }
+  });
+  for (const rule of ruleset.rules) {
+    if (rule.carriers && !rule.carriers.includes(t?.carrier)) continue;
+    const matched = rule.test(t, ruleset);
+    if (matched) return decide(rule, matched);
+  }
+  const raw = String(t?.status?.text || '').trim();
+  const mapped = ruleset.statusMap[t?.carrier]?.[raw];
+  return mapped
+    ? decide({ id: 'status-map', match: 'statusMap', pattern: raw, status: mapped, confidence: 'low' }, { field: 'status.text', text: raw })
+    : { status: null, rule: null, decision: null };
+};
+
+module.exports = {
+  RULES_SCHEMA_VERSION,
+  CONFIDENCE_LEVELS,
+  PREDICATES,
+  hasRecentRTScan,
+  hasTerminalRTO,
+  upgradeRulesDoc,
+  buildRuleset,
+  loadRules,
+  evaluateRules
+};
+
+/**
+ * Check a rules file: node lib/rules.js [file]
+ */
+if (require.main === module) {
+  const file = process.argv[2] || process.env.RULES_FILE || require('path').join(__dirname, '..', 'config', 'status-rules.json');
+  try {
+    const ruleset = loadRules(file);
+    console.log(`📐 ${file}: ${ruleset.rules.length} rules, revision ${ruleset.revision}`);
+    for (const w of ruleset.warnings) console.warn(`⚠️ ${w}`);
+    if (!ruleset.warnings.length) console.log('✅ No unreachable or shadowed rules');
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,64 @@
+const dayjs = require('dayjs');
+const { config } = require('./config');
+const { toYmd, businessToday } = require('./time');
+const { lastScanAt } = require('./state-store');
+
+/**
+ * ---------------- SLA checks ----------------
+ * Flags open forward shipments that CX should chase with the carrier:
+ *
+ *   pdd-breached  Latest PDD is in the past and the shipment is not delivered
+ *   pdd-slipped   Latest PDD is more than SLA_PDD_SLIP_DAYS after the original promise
+ *   stale-scan    no new scan for SLA_STALE_SCAN_HOURS
+ *
+ * Each flag maps to a Jira label. Labels are only ever added: the label on the issue
+ * (and the flag recorded in the state store) is what keeps the alert comment to one per flag.
+ */
+const SLA_FLAGS = {
+  'pdd-breached': 'sla-pdd-breached',
+  'pdd-slipped': 'sla-pdd-slipped',
+  'stale-scan': 'sla-stale-scan'
+};
+
+// Delivered and return-leg shipments are past the forward promise
+const isOpenForward = (status) => !!status && status !== 'DELIVERED' && !/^RTO\b/.test(status);
+
+/**
+ * Returns [{ flag, label, message }] for the checks that currently fail.
+ * Dates come from the payload first and the issue fields second, so a PDD Jira already holds still counts.
+ */
+const detectSlaBreaches = (issue, tracking, status, now = new Date()) => {
+  if (!config.SLA_CHECKS || !isOpenForward(status)) return [];
+  const fields = issue.fields || {};
+  const out = [];
+  const today = businessToday(now);
+
+  const promised = toYmd(fields[config.PROMISED_DELIVERY_DATE_FIELD]) || toYmd(tracking?.dates?.promised);
+  const latest = toYmd(tracking?.dates?.expected || tracking?.dates?.promised) || toYmd(fields[config.LATEST_PDD_FIELD]);
+
+  if (latest && latest < today) {
+    out.push({ flag: 'pdd-breached', message: `Latest PDD ${latest} has passed and the shipment is still "${status}".` });
+  }
+
+  if (promised && latest) {
+    const slip = dayjs(latest).diff(dayjs(promised), 'day');
+    if (slip > config.SLA_PDD_SLIP_DAYS) {
+      out.push({ flag: 'pdd-slipped', message: `PDD slipped ${slip} day(s): promised ${promised}, now ${latest}.` });
+    }
+  }
+
+  const lastScan = lastScanAt(tracking);
+  if (lastScan && dayjs(lastScan).isValid()) {
+    const hours = (dayjs(now).valueOf() - dayjs(lastScan).valueOf()) / 3600e3;
+    if (hours > config.SLA_STALE_SCAN_HOURS) {
+      out.push({ flag: 'stale-scan', message: `No new scan for ${Math.floor(hours)}h (last scan ${lastScan}).` });
+    }
+  }
+
+  return out.map(b => ({ ...b, label: SLA_FLAGS[b.flag] }));
+};
+
+const buildSlaComment = (awb, breaches, carrierName = 'Delhivery') =>
+  `[SLA alert] AWB ${awb} needs a chase with ${carrierName}:\n` + breaches.map(b => `• ${b.message}`).join('\n');
+
+module.exports = { SLA_FLAGS, detectSlaBreaches, buildSlaComment };
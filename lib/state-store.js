@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * ---------------- Local state store ----------------
+ * One JSON file, keyed by AWB, cached between workflow runs:
+ *
+ *   { version, updatedAt, shipments: { [awb]: {
+ *       awb, carrier, issueKey, hash, rulesRevision, lastScanAt, status, jiraStatus, settled, checkedAt,
+ *       history: [{ at, lastScanAt, status, jiraStatus, instruction }]
+ *   } }, workflow: { ...learned Jira transitions, see lib/workflow.js },
+ *   notifications: { [issueKey]: [...customer messages held for a later run, see lib/notify.js] } }
+ *
+ * `settled` means the last run found Jira already matching the tracking payload
+ * (no transition, no field writes), so the same hash + Jira status can be skipped
+ * as long as the status rules revision is unchanged too.
+ */
+const STATE_VERSION = 1;
+const HISTORY_LIMIT = 50;
+
+const emptyState = () => ({ version: STATE_VERSION, updatedAt: null, shipments: {}, workflow: {}, notifications: {} });
+
+const loadState = (file) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data?.version !== STATE_VERSION || typeof data.shipments !== 'object') {
+      console.warn(`⚠️ State file ${file} has an unknown format; starting fresh.`);
+      return emptyState();
+    }
+    return data;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️ Could not read state file ${file}; starting fresh.`, err.message);
+    return emptyState();
+  }
+};
+
+// Write to a temp file and rename, so a killed run never leaves a half-written store
+const saveState = (file, state) => {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+};
+
+const lastScanAt = (t) => {
+  const scans = Array.isArray(t?.scans) ? t.scans : [];
+  const times = scans
+    .map(sc => sc.at || sc.statusAt)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a));
+  return times[0] || t?.status?.at || null;
+};
+
+// Hashes the carrier payload, so entries written before the shipment model keep matching
+const trackingHash = (t) => crypto.createHash('sha1').update(JSON.stringify(t?.raw ?? t ?? null)).digest('hex');
+
+/**
+ * Records what a run saw for one AWB. A history row is appended only when the
+ * tracking payload or the Jira status moved since the previous observation.
+ */
+const recordObservation = (state, awb, { issueKey, tracking, jiraStatus, settled, rulesRevision = null }) => {
+  const now = new Date().toISOString();
+  const hash = trackingHash(tracking);
+  const entry = state.shipments[awb] || { awb, history: [] };
+  const snapshot = {
+    lastScanAt: lastScanAt(tracking),
+    status: tracking?.status?.text || null,
+    jiraStatus: jiraStatus || null
+  };
+
+  if (entry.hash !== hash || entry.jiraStatus !== snapshot.jiraStatus) {
+    entry.history.push({ at: now, ...snapshot, instruction: tracking?.status?.instructions || null });
+    if (entry.history.length > HISTORY_LIMIT) entry.history.splice(0, entry.history.length - HISTORY_LIMIT);
+  }
+
+  Object.assign(entry, { carrier: tracking?.carrier || entry.carrier || null, issueKey, hash, rulesRevision, ...snapshot, settled: !!settled, checkedAt: now });
+  state.shipments[awb] = entry;
+  return entry;
+};
+
+const findEntry = (state, awbOrKey) =>
+  state.shipments[awbOrKey] ||
+  Object.values(state.shipments).find(e => e.issueKey === awbOrKey) ||
+  null;
+
+module.exports = {
+  loadState,
+  saveState,
+  lastScanAt,
+  trackingHash,
+  recordObservation,
+  findEntry
+};
+
+/**
+ * Query: node lib/state-store.js <awb|issueKey> [stateFile]
+ */
+if (require.main === module) {
+  const [query, file = process.env.STATE_FILE || '.poller-state.json'] = process.argv.slice(2);
+  if (!query) {
+    console.error('Usage: node lib/state-store.js <awb|issueKey> [stateFile]');
+    process.exit(2);
+  }
+  const entry = findEntry(loadState(file), query);
+  if (!entry) {
+    console.error(`❌ No state recorded for ${query} in ${file}`);
+    process.exit(1);
+  }
+  console.log(`${entry.issueKey} awb=${entry.awb} status="${entry.status}" jira="${entry.jiraStatus}" lastScan=${entry.lastScanAt} checked=${entry.checkedAt}`);
+  for (const h of entry.history) {
+    console.log(`  ${h.at}  scan=${h.lastScanAt || '-'}  ${h.status || '-'} → jira "${h.jiraStatus || '-'}"  ${h.instruction || ''}`);
+  }
+}
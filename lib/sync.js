@@ -0,0 +1,408 @@
+const { config, missingEnv } = require('./config');
+const { nameNorm, mapWithConcurrency, describeError } = require('./util');
+const { withLogGroup } = require('./log');
+const { loadProfiles, withProfile } = require('./profiles');
+const { loadState, saveState, trackingHash, recordObservation } = require('./state-store');
+const { getRules, classify, hasRecentRTScan } = require('./classify');
+const { describeMatch, decisionStamp, recordDecision } = require('./decision');
+const { getCarrier, resolveShipmentRef, refKey, fetchShipments, archivePayloads } = require('./carriers');
+const { fetchAllIssues, getJiraIssues, getStaleJiraIssues, updateJira, updateJiraFieldsOnly, flagIssue } = require('./jira');
+const { prepareJiraFields } = require('./fields');
+const { planIssueChanges } = require('./plan');
+const { printDryRunDiff } = require('./dry-run');
+const { createWorkflowGraph } = require('./workflow');
+const { checkMove } = require('./lifecycle');
+const { createRunReport, writeReport, postReportWebhook } = require('./report');
+const { detectDiscrepancies, buildDiscrepancyComment, writeDiscrepancyCsv } = require('./charges');
+const { SLA_FLAGS, detectSlaBreaches, buildSlaComment } = require('./sla');
+const { syncScanTimeline } = require('./timeline');
+const { syncNdrAction } = require('./ndr');
+const { notifyCustomer, sendHeldNotifications } = require('./notify');
+
+const TERMINAL_STATUSES = ['DELIVERED', 'RTO DELIVERED'];
+
+/**
+ * ---------------- Main ----------------
+ * One sync pass over every eligible issue. Resolves to { updated, skipped }; the per-issue
+ * outcomes go to the run report (REPORT_FILE / REPORT_WEBHOOK_URL), also when the run aborts.
+ *
+ * `sweep` (node poll.js --sweep, daily) takes the open issues created before the
+ * CREATED_SINCE_DAYS window instead: one last tracking check each, and the ones the carrier
+ * no longer knows get TRACKING_EXPIRED_LABEL and a comment, which also drops them from later sweeps.
+ *
+ * With PROFILES_FILE each profile gets its own pass, report and summary, one after another.
+ * A profile that fails does not stop the others; the run then rejects once all have had their
+ * turn, with the totals and per-profile results on `err.summary`.
+ *
+ * One-off runs (cli.js) narrow the pass: `keys` syncs just those issues (each profile takes the
+ * keys of its own project), `jql` the issues an ad-hoc query finds, `profile` runs one profile
+ * only. `onReport(report)` sees each finished run report.
+ */
+const run = async ({ sweep = false, keys = null, jql = null, profile: only = null, onReport = null } = {}) => {
+  const scope = { sweep, keys, jql, onReport };
+  const all = loadProfiles();
+  const profiles = only ? all.filter(p => p.name === only) : all;
+  if (!profiles.length) throw new Error(`No profile named "${only}" (profiles: ${all.map(p => p.name).join(', ')})`);
+  if (profiles.length === 1 && profiles[0].implicit) return runProfile(scope);
+
+  const summary = { updated: 0, skipped: 0, profiles: {} };
+  for (const profile of profiles) {
+    console.log(`🏷️ Profile "${profile.name}"`);
+    try {
+      const result = await withProfile(profile, () => {
+        const missing = missingEnv(config);
+        if (missing.length) throw new Error(`missing ${missing.join(', ')}`);
+        if (keys && !keys.some(k => ownKey(k))) return null;
+        return runProfile({ ...scope, profile: profile.name });
+      });
+      if (!result) {
+        console.log(`⏩ No requested issue belongs to ${profile.name}; skipping it.`);
+        continue;
+      }
+      summary.updated += result.updated;
+      summary.skipped += result.skipped;
+      summary.profiles[profile.name] = result;
+    } catch (err) {
+      console.error(`💥 Profile "${profile.name}" failed:`, describeError(err));
+      summary.profiles[profile.name] = { error: describeError(err) };
+    }
+  }
+  const failed = Object.keys(summary.profiles).filter(name => summary.profiles[name].error);
+  console.log(`📊 All profiles: ${summary.updated} updated, ${summary.skipped} skipped${failed.length ? `, failed: ${failed.join(', ')}` : ''}`);
+  if (failed.length) {
+    throw Object.assign(new Error(`${failed.length} of ${profiles.length} profile(s) failed: ${failed.join(', ')}`), { summary });
+  }
+  return summary;
+};
+
+const runProfile = async ({ sweep = false, keys = null, jql = null, profile = null, onReport = null } = {}) => {
+  const { report, add, finish } = createRunReport({ mode: sweep ? 'sweep' : keys || jql ? 'one-off' : 'poll', profile });
+  try {
+    return await syncIssues(add, { sweep, keys, jql });
+  } catch (err) {
+    report.error = describeError(err);
+    throw err;
+  } finally {
+    finish({ rulesRevision: safeRulesRevision() });
+    onReport?.(report);
+    if (config.REPORT_FILE) {
+      try { writeReport(config.REPORT_FILE, report); }
+      catch (err) { console.error(`❌ Failed to write run report to ${config.REPORT_FILE}:`, err.message); }
+    }
+    if (config.DISCREPANCY_CSV_FILE) {
+      try { writeDiscrepancyCsv(config.DISCREPANCY_CSV_FILE, report); }
+      catch (err) { console.error(`❌ Failed to write the discrepancy CSV to ${config.DISCREPANCY_CSV_FILE}:`, err.message); }
+    }
+    if (config.REPORT_WEBHOOK_URL) await postReportWebhook(config.REPORT_WEBHOOK_URL, report);
+  }
+};
+
+// "OPS-12" belongs to the profile whose JIRA_PROJECT is OPS
+const ownKey = (key) => key.startsWith(`${config.JIRA_PROJECT}-`);
+
+const selectIssues = async ({ sweep, keys, jql }) => {
+  if (keys) {
+    const own = keys.filter(ownKey);
+    return own.length ? fetchAllIssues(`key in (${own.join(', ')})`) : [];
+  }
+  if (jql) return fetchAllIssues(jql);
+  return sweep ? getStaleJiraIssues() : getJiraIssues();
+};
+
+const safeRulesRevision = () => {
+  try { return getRules().revision; } catch { return null; }
+};
+
+/**
+ * ---------------- Per-issue pipeline ----------------
+ * Everything after the tracking lookup for one issue: skip check, timeline, classify, plan,
+ * Jira writes, SLA flags, charge checks, customer notifications and the report row. Shared by
+ * the polling run and the webhook server.
+ * processIssue resolves to 'updated', 'skipped' or null (nothing counted: unknown status, blocked move, failure).
+ */
+const createPipeline = (state, add) => {
+  const useSkips = !config.DRY_RUN && !config.FORCE_FULL_SYNC;
+  const workflow = createWorkflowGraph(state);
+  const isSettled = (entry, currentStatus) =>
+    useSkips && entry?.settled && entry.rulesRevision === getRules().revision &&
+    nameNorm(entry.jiraStatus) === nameNorm(currentStatus);
+  const observe = (issue, awb, tracking, jiraStatus, settled) =>
+    recordObservation(state, awb, { issueKey: issue.key, tracking, jiraStatus, settled, rulesRevision: getRules().revision });
+
+  // SLA flags not yet on the issue (or recorded for the AWB) get their label and one comment.
+  // Resolves to { flags, error } for the report.
+  const raiseSlaFlags = async (issue, awb, tracking, status) => {
+    const entry = state.shipments[awb];
+    const raised = new Set([...(issue.fields?.labels || []), ...Object.keys(entry?.slaFlags || {}).map(f => SLA_FLAGS[f])]);
+    const fresh = detectSlaBreaches(issue, tracking, status).filter(b => !raised.has(b.label));
+    if (!fresh.length) return { flags: [], error: null };
+
+    console.log(`🚨 SLA ${fresh.map(b => b.flag).join(', ')} for ${issue.key} (awb ${awb})`);
+    const { outcome, error } = await flagIssue(issue.key, fresh.map(b => b.label), buildSlaComment(awb, fresh, getCarrier(tracking.carrier).name));
+    if (outcome === 'failed') return { flags: [], error };
+    if (entry && !config.DRY_RUN) {
+      const at = new Date().toISOString();
+      entry.slaFlags = { ...entry.slaFlags, ...Object.fromEntries(fresh.map(b => [b.flag, at])) };
+    }
+    return { flags: fresh.map(b => b.flag), error: null };
+  };
+
+  // Weight / COD discrepancies (lib/charges.js): labelled and commented once, but every run's
+  // report (and CSV) lists all of them. Resolves to { discrepancies, error }.
+  const checkCharges = async (issue, awb, tracking) => {
+    const found = detectDiscrepancies(issue, tracking);
+    const discrepancies = found.map(({ check, expected, actual, difference }) => ({ check, expected, actual, difference }));
+    const labels = issue.fields?.labels || [];
+    const fresh = found.filter(d => !labels.includes(d.label));
+    if (!fresh.length) return { discrepancies, error: null };
+
+    console.log(`💰 Charge discrepancy (${fresh.map(d => d.check).join(', ')}) for ${issue.key} (awb ${awb})`);
+    const { outcome, error } = await flagIssue(issue.key, fresh.map(d => d.label), buildDiscrepancyComment(awb, fresh, getCarrier(tracking.carrier).name));
+    return { discrepancies, error: outcome === 'failed' ? error : null };
+  };
+
+  // NDR actions (lib/ndr.js) for shipments in NDR, or with a request still pending at the carrier.
+  // The latest submission ("RE-ATTEMPT:Success") is kept on the AWB and shown with each decision.
+  const syncNdr = async (issue, awb, tracking, status) => {
+    const known = state.shipments[awb]?.ndr || null;
+    if (!config.NDR_ACTION_FIELD || (status !== 'NDR' && !/:pending$/.test(known || ''))) return known;
+    try {
+      const ndr = await syncNdrAction(issue, awb, tracking, status);
+      if (ndr && !config.DRY_RUN) (state.shipments[awb] ||= { awb, history: [] }).ndr = ndr;
+      return ndr;
+    } catch (err) {
+      console.error(`❌ NDR action sync failed for ${issue.key}:`, describeError(err));
+      return known;
+    }
+  };
+
+  // The classification decision (lib/decision.js), with the lifecycle's reason when the move was blocked.
+  // Its stamp stays on the AWB so an unchanged decision costs no Jira call.
+  const keepDecision = async (issue, awb, decision, blocked = null) => {
+    if (!decision) return;
+    const d = blocked ? { ...decision, blocked } : decision;
+    try {
+      const result = await recordDecision(issue.key, d, state.shipments[awb]?.decisionStamp);
+      if (result !== 'off' && !config.DRY_RUN) (state.shipments[awb] ||= { awb, history: [] }).decisionStamp = decisionStamp(d);
+    } catch (err) {
+      console.error(`❌ Failed to record the status decision for ${issue.key}:`, describeError(err));
+    }
+  };
+
+  // A move the lifecycle forbids is not applied: the issue gets the review label and, once, a comment.
+  // Only the transition is held back; the planned field updates are still written.
+  const blockMove = async (issue, awb, tracking, row, customFields, reason) => {
+    const { from, to } = row;
+    const label = config.LIFECYCLE_REVIEW_LABEL;
+    console.log(`⛔ Not moving ${issue.key} "${from}" → "${to}" (${reason}); flagging "${label}" for review`);
+    const comment = `[Status review] ${getCarrier(tracking.carrier).name} reports "${tracking.status?.text || '?'}" for AWB ${awb}, ` +
+      `which maps to "${to}", but ${reason}. The status was left as "${from}"; please check the shipment and ` +
+      `remove the "${label}" label once it has been reviewed.`;
+    const flagged = (issue.fields?.labels || []).includes(label)
+      ? { error: null }
+      : await flagIssue(issue.key, [label], comment);
+    const fields = await updateJiraFieldsOnly(issue.key, customFields);
+    // Never settled: until someone resolves the review, every run re-checks the issue and keeps its fields current
+    observe(issue, awb, tracking, from, false);
+    add({ ...row, outcome: 'blocked', error: flagged.error || fields.error, detail: reason });
+    return null;
+  };
+
+  const processIssue = async (issue, awb, tracking) => {
+    const currentStatus = issue.fields.status?.name || '';
+    try {
+      const entry = state.shipments[awb];
+      if (isSettled(entry, currentStatus) && entry.hash === trackingHash(tracking)) {
+        console.log(`⏩ No new scans for ${issue.key} (awb ${awb}, last scan ${entry.lastScanAt || 'n/a'}); skipping.`);
+        observe(issue, awb, tracking, currentStatus, true);
+        // Unchanged payloads still age: a stuck shipment is exactly the one whose hash never moves
+        const { flags, error } = await raiseSlaFlags(issue, awb, tracking, currentStatus);
+        // Same for NDR: the agent's action and the carrier's answer arrive without a new scan
+        const ndr = await syncNdr(issue, awb, tracking, currentStatus);
+        const charges = await checkCharges(issue, awb, tracking);
+        add({ key: issue.key, awb, carrier: tracking.carrier, outcome: 'skipped', from: currentStatus, flags, ndr,
+          discrepancies: charges.discrepancies, error: error || charges.error });
+        return 'skipped';
+      }
+
+      // New scans since the last run: keep the issue's timeline table current, whatever the status
+      try {
+        await syncScanTimeline(issue.key, awb, tracking);
+      } catch (err) {
+        console.error(`❌ Failed to update the scan timeline for ${issue.key}:`, describeError(err));
+      }
+
+      // Classify; the decision is kept on the issue, once the lifecycle has judged it, so agents can see why
+      const { status: updatedStatus, rule, decision } = classify(tracking);
+      const ndr = await syncNdr(issue, awb, tracking, updatedStatus);
+      console.log(
+        `[decision] ${issue.key} carrier=${tracking.carrier} awb=${awb} cur="${currentStatus}" -> new="${updatedStatus}" rule=${rule?.id || '-'} ` +
+        `confidence=${decision?.confidence || '-'} matched=${describeMatch(decision?.matched)} type=${tracking.status?.type || ""} ` +
+        `reverse=${!!tracking.returnFlow} rtoStart=${!!tracking.dates?.rtoStarted} hasRTScan=${hasRecentRTScan(tracking)} ` +
+        `ndr=${ndr || '-'}`
+      );
+
+      if (!updatedStatus) {
+        console.log(`⚠️ Unknown ${tracking.carrier} status "${tracking.status?.text}" for AWB ${awb}`);
+        observe(issue, awb, tracking, currentStatus, false);
+        add({ key: issue.key, awb, carrier: tracking.carrier, outcome: 'unknown-status', from: currentStatus, detail: tracking.status?.text || null });
+        return null;
+      }
+
+      const { customFields, comment } = planIssueChanges(issue, tracking, updatedStatus);
+      const row = {
+        key: issue.key, awb, carrier: tracking.carrier, from: currentStatus, to: updatedStatus,
+        rule: rule?.id || null, confidence: rule?.confidence || null, fields: Object.keys(customFields), ndr
+      };
+
+      // The lifecycle judges the move itself and, on a multi-hop walk, every status passed through
+      let allowHop = null;
+      if (config.LIFECYCLE_CHECKS) {
+        const move = checkMove(currentStatus, updatedStatus, tracking);
+        if (!move.allowed) {
+          await keepDecision(issue, awb, decision, move.reason);
+          return await blockMove(issue, awb, tracking, row, customFields, move.reason);
+        }
+        if (move.exception) console.log(`↩️ ${issue.key} "${currentStatus}" → "${updatedStatus}" allowed by a lifecycle exception: ${move.exception}`);
+        allowHop = (a, b) => checkMove(a, b, tracking).allowed;
+      }
+      await keepDecision(issue, awb, decision);
+
+      if (config.DRY_RUN) {
+        const changes = await printDryRunDiff(issue, awb, currentStatus, updatedStatus, customFields, comment, workflow);
+        const { flags } = await raiseSlaFlags(issue, awb, tracking, updatedStatus);
+        const { discrepancies } = await checkCharges(issue, awb, tracking);
+        add({ ...row, outcome: changes ? 'planned' : 'unchanged', flags, discrepancies });
+        return changes ? 'updated' : 'skipped';
+      }
+
+      // If status unchanged → fields-only
+      if (currentStatus && nameNorm(currentStatus) === nameNorm(updatedStatus)) {
+        const { outcome, error } = await updateJiraFieldsOnly(issue.key, customFields);
+        console.log(`⏩ Skipping transition for ${issue.key} — already "${updatedStatus}"`);
+        observe(issue, awb, tracking, currentStatus, outcome === 'unchanged');
+        const sla = await raiseSlaFlags(issue, awb, tracking, updatedStatus);
+        const charges = await checkCharges(issue, awb, tracking);
+        add({ ...row, outcome, error: error || sla.error || charges.error, flags: sla.flags, discrepancies: charges.discrepancies });
+        return 'skipped';
+      }
+
+      const { outcome, error } = await updateJira(issue.key, updatedStatus, customFields, comment, { from: currentStatus, workflow, allowHop });
+      // Not settled yet: the next run confirms the transition landed before skipping this AWB
+      observe(issue, awb, tracking, currentStatus, false);
+      const sla = outcome === 'failed' ? { flags: [], error: null } : await raiseSlaFlags(issue, awb, tracking, updatedStatus);
+      // The customer hears about a milestone once Jira has actually moved
+      const notified = outcome === 'updated' ? await notifyCustomer(state, issue, awb, tracking, updatedStatus) : [];
+      const charges = outcome === 'failed' ? { discrepancies: [], error: null } : await checkCharges(issue, awb, tracking);
+      add({ ...row, outcome, error: error || sla.error || charges.error, flags: sla.flags, notified, discrepancies: charges.discrepancies });
+      return outcome === 'failed' ? null : 'updated';
+    } catch (err) {
+      console.error(`💥 Error handling ${issue.key}:`, err.response?.data || err.message);
+      add({ key: issue.key, awb, outcome: 'failed', from: currentStatus, error: describeError(err) });
+      return null;
+    }
+  };
+
+  return { isSettled, processIssue };
+};
+
+// Last resort for a stale issue the carrier has nothing on: label it and say why, once
+const expireIssue = async (issue, carrier, awb, add) => {
+  const name = getCarrier(carrier).name;
+  console.log(`⌛ ${name} has no tracking for AWB ${awb} (${issue.key}); marking ${config.TRACKING_EXPIRED_LABEL}`);
+  const { outcome, error } = await flagIssue(issue.key, [config.TRACKING_EXPIRED_LABEL],
+    `[Tracking expired] ${name} no longer returns tracking for AWB ${awb}. The issue is older than the ` +
+    `${config.CREATED_SINCE_DAYS}-day sync window, so the poller has stopped checking it; please close it manually.`);
+  add({ key: issue.key, awb, carrier, outcome: outcome === 'failed' ? 'failed' : 'expired', from: issue.fields.status?.name || '', error });
+};
+
+const syncIssues = async (add, { sweep = false, keys = null, jql = null } = {}) => {
+  console.log(`🔄 ${sweep ? 'Stale sweep' : 'Sync'} started at ${new Date().toISOString()}${config.DRY_RUN ? ' (dry-run: no Jira writes)' : ''}`);
+  await prepareJiraFields();
+  const issues = await selectIssues({ sweep, keys, jql });
+  if (!issues || issues.length === 0) {
+    console.log(`ℹ️ No issues found ${keys || jql ? 'for the request' : sweep ? 'outside the current window' : 'for the current window'}.`);
+    return { updated: 0, skipped: 0 };
+  }
+
+  let updated = 0, skipped = 0;
+
+  // Dry-run reviews every issue and leaves the store untouched
+  const state = loadState(config.STATE_FILE);
+  const { isSettled, processIssue } = createPipeline(state, add);
+  await sendHeldNotifications(state);
+
+  // Resolve carrier + AWB up front so each carrier can be queried in batches
+  const work = [];
+  for (const issue of issues) {
+    const { carrier, awb, reason } = resolveShipmentRef(issue);
+    if (config.DEBUG_AWB && awb !== config.DEBUG_AWB) continue;
+    if (!awb) {
+      console.log(`⚠️ No valid AWB for ${issue.key}${reason ? ` (${reason})` : ''}`);
+      add({ key: issue.key, outcome: 'no-awb', from: issue.fields?.status?.name });
+      continue;
+    }
+
+    // Settled terminal shipments only need a periodic re-check, not a fetch every run
+    const entry = state.shipments[awb];
+    const checkedHoursAgo = entry ? (Date.now() - new Date(entry.checkedAt)) / 3600e3 : Infinity;
+    if (isSettled(entry, issue.fields.status?.name) && TERMINAL_STATUSES.includes(entry.jiraStatus) &&
+        checkedHoursAgo < config.TERMINAL_RECHECK_HOURS) {
+      console.log(`⏩ ${issue.key} settled as "${entry.jiraStatus}" (checked ${checkedHoursAgo.toFixed(1)}h ago); not fetching.`);
+      add({ key: issue.key, awb, outcome: 'skipped', from: entry.jiraStatus });
+      skipped++;
+      continue;
+    }
+    work.push({ issue, carrier, awb });
+  }
+
+  console.log(`🚚 Fetching tracking for ${work.length} AWB(s)...`);
+  const shipments = await fetchShipments(work);
+  archivePayloads(shipments);
+
+  // ISSUE_CONCURRENCY workers; Jira and Delhivery calls are paced by their clients' rate budgets
+  const results = await mapWithConcurrency(work, config.ISSUE_CONCURRENCY, ({ issue, carrier, awb }) => withLogGroup(async () => {
+    try {
+      const tracking = shipments.get(refKey(carrier, awb));
+      // A failed lookup says nothing about the shipment: never expire on one, try again next run
+      if (tracking instanceof Error) {
+        add({ key: issue.key, awb, carrier, outcome: 'failed', from: issue.fields.status?.name || '',
+          error: `tracking lookup failed: ${describeError(tracking)}` });
+        return null;
+      }
+      if (!tracking && sweep) {
+        await expireIssue(issue, carrier, awb, add);
+        return null;
+      }
+      if (!tracking) {
+        console.log(`⚠️ No tracking payload for AWB ${awb} (${issue.key})`);
+        add({ key: issue.key, awb, outcome: 'no-tracking', from: issue.fields.status?.name || '' });
+        return null;
+      }
+      return await processIssue(issue, awb, tracking);
+    } catch (err) {
+      // processIssue reports its own failures; this keeps anything else from stopping the pool
+      console.error(`💥 Worker failed on ${issue.key}:`, describeError(err));
+      add({ key: issue.key, awb, carrier, outcome: 'failed', from: issue.fields.status?.name || '', error: describeError(err) });
+      return null;
+    }
+  }));
+  updated += results.filter(r => r === 'updated').length;
+  skipped += results.filter(r => r === 'skipped').length;
+
+  if (!config.DRY_RUN) {
+    try {
+      saveState(config.STATE_FILE, state);
+      console.log(`💾 State saved to ${config.STATE_FILE} (${Object.keys(state.shipments).length} AWBs)`);
+    } catch (err) {
+      console.error(`❌ Failed to save state to ${config.STATE_FILE}:`, err.message);
+    }
+  }
+
+  console.log(`✅ Sync finished at ${new Date().toISOString()}`);
+  if (config.DRY_RUN) console.log(`📊 Summary (dry-run, nothing written): ${updated} would change, ${skipped} unchanged`);
+  else console.log(`📊 Summary: ${updated} updated, ${skipped} skipped`);
+  return { updated, skipped };
+};
+
+module.exports = { run, createPipeline, TERMINAL_STATUSES };
@@ -0,0 +1,67 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { config } = require('./config');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * ---------------- Time zones ----------------
+ * Carrier adapters turn their timestamps into ISO-8601 with an offset when a shipment is
+ * normalized (Delhivery sends IST wall-clock times without one). Everything written to Jira
+ * is then read in BUSINESS_TZ, never in the runner's zone (UTC on GitHub Actions).
+ *
+ * Date fields get "YYYY-MM-DD"; fields listed in DATETIME_FIELDS get the full timestamp.
+ */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// "2024-05-03T19:02:11.000" read in `zone` → "2024-05-03T19:02:11.000+05:30"; dates and offset times pass through
+const withOffset = (v, zone) => {
+  if (!v) return null;
+  const s = String(v).trim();
+  if (DATE_ONLY.test(s) || HAS_OFFSET.test(s)) return s;
+  const d = dayjs.tz(s, zone);
+  return d.isValid() ? d.format('YYYY-MM-DDTHH:mm:ss.SSSZ') : s;
+};
+
+// A timestamp or calendar date as a dayjs in BUSINESS_TZ (timestamps without an offset are taken as BUSINESS_TZ)
+const inBusinessTz = (v) => {
+  if (!v) return null;
+  const s = String(v).trim();
+  const d = HAS_OFFSET.test(s) ? dayjs(s).tz(config.BUSINESS_TZ) : dayjs.tz(s, config.BUSINESS_TZ);
+  return d.isValid() ? d : null;
+};
+
+const toYmd = (v) => inBusinessTz(v)?.format('YYYY-MM-DD') || null;
+
+// Jira's datetime format ("2024-05-03T19:02:11.000+0530")
+const toJiraDateTime = (v) => inBusinessTz(v)?.format('YYYY-MM-DDTHH:mm:ss.SSSZZ') || null;
+
+const businessToday = (now = new Date()) => dayjs(now).tz(config.BUSINESS_TZ).format('YYYY-MM-DD');
+
+const isDatetimeField = (fieldId) => config.DATETIME_FIELDS.includes(fieldId);
+
+// The value to write into a Jira date(time) field for a carrier timestamp
+const jiraDateValue = (fieldId, v) => (isDatetimeField(fieldId) ? toJiraDateTime(v) : toYmd(v));
+
+// Datetime fields compare as instants: Jira hands them back in its own format
+const sameJiraDate = (fieldId, current, next) => {
+  if (!current || !next) return false;
+  if (!isDatetimeField(fieldId)) return current === next;
+  const a = dayjs(current), b = dayjs(next);
+  return a.isValid() && b.isValid() && a.valueOf() === b.valueOf();
+};
+
+module.exports = {
+  dayjs,
+  withOffset,
+  inBusinessTz,
+  toYmd,
+  toJiraDateTime,
+  businessToday,
+  isDatetimeField,
+  jiraDateValue,
+  sameJiraDate
+};
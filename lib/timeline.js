@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { inBusinessTz } = require('./time');
+const { createComment, editComment, listComments, getIssueProperty, setIssueProperty, jira } = require('./jira');
+const { getCarrier } = require('./carriers');
+
+/**
+ * ---------------- Scan timeline ----------------
+ * The full carrier journey as an ADF table (oldest scan first, so new scans land at the
+ * bottom), kept on the issue in one of two ways (SCAN_TIMELINE_MODE):
+ *
+ *   comment  one comment, edited in place; its id lives in the issue property below
+ *   field    the rich-text field SCAN_TIMELINE_FIELD, overwritten
+ *
+ * Only rewritten when the rows change (digest compared against the issue property). A new
+ * comment is noted in the property before it is created; when its id could not be saved
+ * afterwards, the next run finds the comment by its title instead of posting another.
+ */
+const TIMELINE_PROPERTY = 'delhivery-sync.scanTimeline'; // name kept so existing issues keep their comment
+const COLUMNS = ['Date / time', 'Location', 'Scan', 'Instructions'];
+
+const buildTimelineRows = (tracking) => {
+  const scans = Array.isArray(tracking?.scans) ? tracking.scans : [];
+  return scans
+    .filter(sc => sc.at || sc.statusAt)
+    .map(sc => ({
+      when: sc.at || sc.statusAt,
+      location: String(sc.location || '').trim(),
+      scan: [sc.text, sc.type && `(${sc.type})`].filter(Boolean).join(' '),
+      instructions: String(sc.instructions || '').trim()
+    }))
+    .sort((a, b) => new Date(a.when) - new Date(b.when));
+};
+
+const timelineDigest = (rows) => crypto.createHash('sha1').update(JSON.stringify(rows)).digest('hex');
+
+const text = (value, marks) => (value ? [{ type: 'text', text: value, ...(marks ? { marks } : {}) }] : []);
+const cell = (type, value, marks) => ({ type, attrs: {}, content: [{ type: 'paragraph', content: text(value, marks) }] });
+
+const timelineTitle = (awb, carrierName) => `📦 ${carrierName} scan timeline · AWB ${awb}`;
+
+const isTimelineComment = (comment, title) => comment.body?.content?.[0]?.content?.[0]?.text === title;
+
+const renderTimelineADF = (awb, rows, carrierName = 'Delhivery') => {
+  const shown = rows.slice(-config.SCAN_TIMELINE_MAX_ROWS);
+  const omitted = rows.length - shown.length;
+  const header = { type: 'tableRow', content: COLUMNS.map(c => cell('tableHeader', c, [{ type: 'strong' }])) };
+  const body = shown.map(r => ({
+    type: 'tableRow',
+    content: [inBusinessTz(r.when)?.format('DD MMM YYYY, HH:mm') || r.when, r.location, r.scan, r.instructions].map(v => cell('tableCell', v))
+  }));
+
+  return {
+    type: 'doc',
+    version: 1,
+    content: [
+      { type: 'paragraph', content: [
+        ...text(timelineTitle(awb, carrierName), [{ type: 'strong' }]),
+        ...text(` · ${rows.length} scan(s)${omitted ? `, ${omitted} earliest omitted` : ''} · updated ${new Date().toISOString()}`)
+      ] },
+      { type: 'table', attrs: { isNumberColumnEnabled: false, layout: 'default' }, content: [header, ...body] }
+    ]
+  };
+};
+
+/**
+ * Brings the issue's timeline up to date. Resolves to 'created', 'updated', 'unchanged'
+ * or 'off'; throws on Jira errors (the caller logs and reports them).
+ */
+const syncScanTimeline = async (issueKey, awb, tracking) => {
+  if (config.SCAN_TIMELINE_MODE === 'off') return 'off';
+  const rows = buildTimelineRows(tracking);
+  if (!rows.length) return 'unchanged';
+
+  const digest = timelineDigest(rows);
+  const saved = await getIssueProperty(issueKey, TIMELINE_PROPERTY);
+  if (saved?.digest === digest && saved.mode === config.SCAN_TIMELINE_MODE) return 'unchanged';
+
+  if (config.DRY_RUN) {
+    console.log(`🧪 [dry-run] ${issueKey}: would ${saved ? 'update' : 'create'} the scan timeline (${rows.length} scans, mode=${config.SCAN_TIMELINE_MODE})`);
+    return saved ? 'updated' : 'created';
+  }
+
+  const carrierName = getCarrier(tracking.carrier).name;
+  const doc = renderTimelineADF(awb, rows, carrierName);
+  let commentId = saved?.commentId || null;
+  let result = saved ? 'updated' : 'created';
+
+  if (config.SCAN_TIMELINE_MODE === 'field') {
+    await jira.put(`/rest/api/3/issue/${issueKey}`, { fields: { [config.SCAN_TIMELINE_FIELD]: doc } });
+  } else {
+    if (!commentId && saved?.creating) {
+      const title = timelineTitle(awb, carrierName);
+      commentId = (await listComments(issueKey)).find(c => isTimelineComment(c, title))?.id || null;
+    }
+    try {
+      if (commentId) await editComment(issueKey, commentId, doc);
+    } catch (err) {
+      if (err.response?.status !== 404) throw err;
+      commentId = null; // someone deleted it; start a new one
+    }
+    if (!commentId) {
+      await setIssueProperty(issueKey, TIMELINE_PROPERTY, { mode: config.SCAN_TIMELINE_MODE, commentId: null, digest: null, creating: true });
+      commentId = (await createComment(issueKey, doc)).id;
+      result = 'created';
+    }
+  }
+
+  await setIssueProperty(issueKey, TIMELINE_PROPERTY, {
+    mode: config.SCAN_TIMELINE_MODE,
+    commentId: config.SCAN_TIMELINE_MODE === 'comment' ? commentId : null,
+    digest,
+    scans: rows.length,
+    updatedAt: new Date().toISOString()
+  });
+  console.log(`🗺️ Scan timeline ${result} for ${issueKey} (${rows.length} scans)`);
+  return result;
+};
+
+module.exports = { TIMELINE_PROPERTY, buildTimelineRows, renderTimelineADF, syncScanTimeline };
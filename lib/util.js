@@ -0,0 +1,47 @@
+/**
+ * ---------------- Utils ----------------
+ */
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const nameNorm = (s) => (s || '').toLowerCase().replace(/[\s_\-()]+/g, '');
+
+const chunk = (arr, size) => {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+};
+
+// Run fn over items with at most `limit` calls in flight; results keep input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Convert "customfield_10123" -> "cf[10123]" for bulletproof JQL
+const toCfIdExpr = (customfield) => {
+  const m = (customfield || '').match(/customfield_(\d+)/);
+  return m ? `cf[${m[1]}]` : null;
+};
+
+/**
+ * ---------------- Errors ----------------
+ * One line for logs and reports: "HTTP 400: <Jira error messages>" or the plain message.
+ */
+const describeError = (err) => {
+  const res = err?.response;
+  if (!res) return err?.message || String(err);
+  const data = res.data;
+  const detail = (Array.isArray(data?.errorMessages) && data.errorMessages.join('; ')) ||
+    (data?.errors && typeof data.errors === 'object' && Object.entries(data.errors).map(([k, v]) => `${k}: ${v}`).join('; ')) ||
+    (typeof data === 'string' ? data.slice(0, 200) : '');
+  return `HTTP ${res.status}${detail ? `: ${detail}` : ''}`;
+};
+
+module.exports = { sleep, nameNorm, chunk, mapWithConcurrency, toCfIdExpr, describeError };
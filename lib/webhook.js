@@ -0,0 +1,129 @@
+const http = require('http');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { describeError } = require('./util');
+const { saveState } = require('./state-store');
+const { extractAWB } = require('./delhivery');
+const { resolveShipmentRef, fetchShipment } = require('./carriers');
+const { searchIssuesByAwb } = require('./jira');
+const { createPipeline } = require('./sync');
+
+/**
+ * ---------------- Push receiver ----------------
+ * POST WEBHOOK_PATH with a Delhivery scan push ({ Shipment }, { ShipmentData: [...] } or a list).
+ * The push only says "this AWB moved": the full tracking payload is re-fetched so the rules see
+ * every scan, then each Jira issue carrying the AWB goes through the same pipeline as run().
+ *
+ * The shared secret is accepted as `X-Webhook-Secret`, `Authorization: Bearer <secret>` or
+ * `?token=<secret>` (for senders that cannot set headers). Events are acknowledged with 202
+ * and processed one at a time in arrival order.
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+const secretMatches = (req, url) => {
+  if (!config.WEBHOOK_SECRET) return false;
+  const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const given = req.headers['x-webhook-secret'] || bearer || url.searchParams.get('token');
+  return !!given && crypto.timingSafeEqual(digest(given), digest(config.WEBHOOK_SECRET));
+};
+
+// AWBs mentioned in a push payload, in order, without duplicates
+const awbsFromPush = (body) => {
+  const items = Array.isArray(body) ? body
+    : Array.isArray(body?.ShipmentData) ? body.ShipmentData
+    : [body];
+  const awbs = items
+    .map(x => x?.Shipment || x)
+    .map(s => extractAWB(String(s?.AWB ?? s?.waybill ?? s?.Waybill ?? '')))
+    .filter(Boolean);
+  return [...new Set(awbs)];
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (c) => {
+    size += c.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('payload too large'), { status: 413 }));
+      req.destroy();
+    } else chunks.push(c);
+  });
+  req.on('end', () => {
+    try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null')); }
+    catch { reject(Object.assign(new Error('invalid JSON'), { status: 400 })); }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Returns { server, handleAwb, idle } — `idle()` resolves once every queued event is processed.
+ * `state` is the receiver's own state store, saved to `stateFile` after each event. It must not
+ * be the poller's STATE_FILE: each process would overwrite the other's entries.
+ */
+const createWebhookServer = ({ state, stateFile = config.WEBHOOK_STATE_FILE }) => {
+  const add = (row) => console.log(`📨 ${row.key} awb=${row.awb || '-'} → ${row.outcome}` +
+    `${row.to ? ` ("${row.from}" → "${row.to}")` : ''}${row.error ? `: ${row.error}` : ''}`);
+  const { processIssue } = createPipeline(state, add);
+
+  const handleAwb = async (awb) => {
+    const tracking = await fetchShipment('delhivery', awb);
+    if (!tracking) {
+      console.log(`⚠️ [push] No tracking payload for AWB ${awb}`);
+      return;
+    }
+    const issues = (await searchIssuesByAwb(awb)).filter(i => {
+      const ref = resolveShipmentRef(i);
+      return ref.carrier === 'delhivery' && ref.awb === awb;
+    });
+    if (!issues.length) {
+      console.log(`ℹ️ [push] No Jira issue tracks AWB ${awb}`);
+      return;
+    }
+    for (const issue of issues) await processIssue(issue, awb, tracking);
+    if (!config.DRY_RUN) saveState(stateFile, state);
+  };
+
+  let queue = Promise.resolve();
+  const enqueue = (awb) => {
+    queue = queue
+      .then(() => handleAwb(awb))
+      .catch(err => console.error(`💥 [push] Failed to process AWB ${awb}:`, describeError(err)));
+    return queue;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/healthz') return send(res, 200, { ok: true });
+    if (url.pathname !== config.WEBHOOK_PATH) return send(res, 404, { error: 'not found' });
+    if (req.method !== 'POST') return send(res, 405, { error: 'method not allowed' });
+    if (!secretMatches(req, url)) {
+      console.warn(`⚠️ [push] Rejected request with a missing or wrong secret from ${req.socket.remoteAddress}`);
+      return send(res, 401, { error: 'unauthorized' });
+    }
+
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (err) {
+      return send(res, err.status || 400, { error: err.message });
+    }
+    const awbs = awbsFromPush(body);
+    if (!awbs.length) return send(res, 400, { error: 'no AWB in payload' });
+
+    console.log(`📬 [push] ${awbs.length} AWB(s): ${awbs.join(', ')}`);
+    awbs.forEach(enqueue);
+    return send(res, 202, { accepted: awbs });
+  });
+
+  return { server, handleAwb, idle: () => queue };
+};
+
+module.exports = { createWebhookServer, awbsFromPush };
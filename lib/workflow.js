@@ -0,0 +1,71 @@
+const { config } = require('./config');
+const { nameNorm } = require('./util');
+
+/**
+ * ---------------- Workflow graph ----------------
+ * Jira only lists the transitions out of an issue's current status, so the graph is learned:
+ * every transitions list the poller reads adds "status → reachable status" edges, kept in the
+ * state store so later runs can plan with them:
+ *
+ *   state.workflow = { [normalized status]: { name, to: { [normalized status]: name } } }
+ *
+ * When no transition reaches the target directly, updateJira walks the shortest learned path,
+ * checking each hop against the live transitions before taking it. Statuses in
+ * TRANSITION_FORBIDDEN_STATUSES are never passed through (they may still be the target), and
+ * paths longer than MAX_TRANSITION_HOPS are not taken (1 turns multi-hop off). `allowHop(from, to)`
+ * vets every hop as well (the pipeline passes the shipment lifecycle, lib/lifecycle.js).
+ */
+const createWorkflowGraph = (state) => {
+  const edges = state.workflow || (state.workflow = {});
+
+  const learn = (from, transitions) => {
+    if (!from) return;
+    const node = edges[nameNorm(from)] || (edges[nameNorm(from)] = { name: from, to: {} });
+    for (const t of transitions || []) {
+      if (t.to?.name) node.to[nameNorm(t.to.name)] = t.to.name;
+    }
+  };
+
+  // A learned hop Jira did not offer (another issue type, or the workflow changed)
+  const forget = (from, to) => {
+    delete edges[nameNorm(from)]?.to[nameNorm(to)];
+  };
+
+  /**
+   * Breadth-first search from `from` to any of `targets` (status names). Resolves to the
+   * statuses to pass through after `from`, target last, or null when no allowed path exists.
+   */
+  const route = (from, targets, { maxHops = config.MAX_TRANSITION_HOPS, forbidden = config.TRANSITION_FORBIDDEN_STATUSES, allowHop = null } = {}) => {
+    if (!from) return null;
+    const goal = new Set(targets.map(nameNorm));
+    const blocked = new Set(forbidden.map(nameNorm));
+    const start = nameNorm(from);
+    const prev = new Map([[start, null]]);
+    const names = new Map();
+
+    let frontier = [start];
+    for (let hop = 1; hop <= maxHops && frontier.length; hop++) {
+      const next = [];
+      for (const node of frontier) {
+        for (const [to, name] of Object.entries(edges[node]?.to || {})) {
+          if (prev.has(to)) continue;
+          if (allowHop && !allowHop(node === start ? from : names.get(node), name)) continue;
+          prev.set(to, node);
+          names.set(to, name);
+          if (goal.has(to)) {
+            const path = [];
+            for (let at = to; at !== start; at = prev.get(at)) path.unshift(names.get(at));
+            return path;
+          }
+          if (!blocked.has(to)) next.push(to);
+        }
+      }
+      frontier = next;
+    }
+    return null;
+  };
+
+  return { learn, forget, route };
+};
+
+module.exports = { createWorkflowGraph };
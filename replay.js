@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadRules, buildRuleset, evaluateRules } = require('./lib/rules');
+const { normalizeArchived } = require('./lib/carriers');
+
+/**
+ * ---------------- Replay / backtest ----------------
+ * Re-classifies saved carrier payloads with the current rules and compares the result
+ * against a baseline: another rules file, the rules file at a git ref, or a stored
+ * expected-status file ({ "<awb>": "<Jira status>" }).
+ *
+ *   node replay.js <payloadDir> [--rules <file>]
+ *       [--baseline <rulesFile> | --baseline-ref <gitRef> | --expected <file>]
+ *       [--write-expected <file>] [--fail-on-change]
+ *
+ * Payload files are *.json holding a Delhivery Shipment, a full packages API response, or a
+ * { carrier, awb, raw } wrapper (the poller writes these when PAYLOAD_ARCHIVE_DIR is set).
+ * Each is normalized to the shipment model before the rules see it.
+ */
+const DEFAULT_RULES = path.join(__dirname, 'config', 'status-rules.json');
+const NONE = '(none)';
+
+const usage = () => {
+  console.error('Usage: node replay.js <payloadDir> [--rules <file>] [--baseline <rulesFile> | --baseline-ref <gitRef> | --expected <file>] [--write-expected <file>] [--fail-on-change]');
+  process.exit(2);
+};
+
+const parseArgs = (argv) => {
+  const opts = { dir: null, rules: process.env.RULES_FILE || DEFAULT_RULES };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => argv[++i] || usage();
+    if (a === '--rules') opts.rules = value();
+    else if (a === '--baseline') opts.baseline = value();
+    else if (a === '--baseline-ref') opts.baselineRef = value();
+    else if (a === '--expected') opts.expected = value();
+    else if (a === '--write-expected') opts.writeExpected = value();
+    else if (a === '--fail-on-change') opts.failOnChange = true;
+    else if (a.startsWith('--') || opts.dir) usage();
+    else opts.dir = a;
+  }
+  if (!opts.dir) usage();
+  if ([opts.baseline, opts.baselineRef, opts.expected].filter(Boolean).length > 1) usage();
+  return opts;
+};
+
+// Every shipment in the directory, normalized and keyed by AWB (falls back to the file name)
+const readPayloads = (dir) => {
+  const shipments = new Map();
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    } catch (err) {
+      console.warn(`⚠️ Skipping ${name}: ${err.message}`);
+      continue;
+    }
+    const list = Array.isArray(data?.ShipmentData) ? data.ShipmentData.map(x => x?.Shipment).filter(Boolean) : [data?.Shipment || data];
+    for (const payload of list) {
+      const shipment = normalizeArchived(payload);
+      const awb = String(shipment.awb || path.basename(name, '.json'));
+      shipments.set(awb, shipment);
+    }
+  }
+  return shipments;
+};
+
+const loadBaseline = (opts) => {
+  if (opts.expected) {
+    const expected = JSON.parse(fs.readFileSync(opts.expected, 'utf8'));
+    return { label: `expected statuses (${opts.expected})`, classify: (awb) => ({ status: expected[awb] ?? null, rule: null }), known: (awb) => awb in expected };
+  }
+  let ruleset = null;
+  if (opts.baseline) ruleset = loadRules(opts.baseline);
+  if (opts.baselineRef) {
+    // git paths are relative to the repo root, wherever replay.js is run from
+    const file = path.resolve(opts.rules);
+    const cwd = path.dirname(file);
+    const prefix = execFileSync('git', ['rev-parse', '--show-prefix'], { cwd, encoding: 'utf8' }).trim();
+    const rel = `${prefix}${path.basename(file)}`;
+    const text = execFileSync('git', ['show', `${opts.baselineRef}:${rel}`], { cwd, encoding: 'utf8' });
+    ruleset = buildRuleset(JSON.parse(text), `${opts.baselineRef}:${rel}`);
+  }
+  if (!ruleset) return null;
+  return { label: `rules ${ruleset.source} (revision ${ruleset.revision})`, classify: (awb, shipment) => evaluateRules(ruleset, shipment), known: () => true };
+};
+
+const printConfusion = (pairs) => {
+  const labels = [...new Set(pairs.flatMap(p => [p.before, p.after]))].sort();
+  const counts = new Map();
+  for (const p of pairs) counts.set(`${p.before}\u0000${p.after}`, (counts.get(`${p.before}\u0000${p.after}`) || 0) + 1);
+
+  const first = Math.max('baseline \\ current'.length, ...labels.map(l => l.length));
+  const widths = labels.map(l => Math.max(l.length, 3));
+  const row = (head, cells) => [head.padEnd(first), ...cells.map((c, i) => String(c).padStart(widths[i]))].join(' | ');
+
+  console.log(row('baseline \\ current', labels));
+  console.log([first, ...widths].map(w => '-'.repeat(w)).join('-+-'));
+  for (const before of labels) {
+    console.log(row(before, labels.map(after => counts.get(`${before}\u0000${after}`) || '.')));
+  }
+};
+
+const main = () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const current = loadRules(opts.rules);
+  const shipments = readPayloads(opts.dir);
+  console.log(`🔁 Replaying ${shipments.size} payload(s) from ${opts.dir} with rules revision ${current.revision}`);
+
+  const results = [...shipments].map(([awb, shipment]) => {
+    const { status, rule } = evaluateRules(current, shipment);
+    return { awb, shipment, after: status || NONE, afterRule: rule?.id || '-' };
+  });
+
+  if (opts.writeExpected) {
+    const expected = Object.fromEntries(results.map(r => [r.awb, r.after === NONE ? null : r.after]));
+    fs.writeFileSync(opts.writeExpected, JSON.stringify(expected, null, 2) + '\n');
+    console.log(`💾 Wrote ${results.length} expected statuses to ${opts.writeExpected}`);
+  }
+
+  const baseline = loadBaseline(opts);
+  if (!baseline) {
+    for (const r of results) console.log(`${r.awb}\t${r.after}\t${r.afterRule}`);
+    return;
+  }
+
+  console.log(`📏 Baseline: ${baseline.label}\n`);
+  const pairs = results
+    .filter(r => baseline.known(r.awb))
+    .map(r => {
+      const { status, rule } = baseline.classify(r.awb, r.shipment);
+      return { ...r, before: status || NONE, beforeRule: rule?.id || '-' };
+    });
+  const unknown = results.length - pairs.length;
+
+  printConfusion(pairs);
+
+  const changed = pairs.filter(p => p.before !== p.after);
+  console.log(`\n${changed.length} of ${pairs.length} AWB(s) changed${unknown ? ` (${unknown} not in baseline)` : ''}`);
+  for (const c of changed) {
+    const s = c.shipment?.status || {};
+    console.log(`  ${c.awb}: ${c.before} [${c.beforeRule}] → ${c.after} [${c.afterRule}]  ` +
+      `status="${s.text || ''}" instructions="${s.instructions || ''}"`);
+  }
+  if (opts.failOnChange && changed.length) process.exit(1);
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(2);
+}
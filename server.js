@@ -0,0 +1,66 @@
+require('dotenv').config();
+const path = require('path');
+const { config, missingEnv } = require('./lib/config');
+const { getRules } = require('./lib/classify');
+const { getLifecycle } = require('./lib/lifecycle');
+const { getCommentTemplates } = require('./lib/comments');
+const { checkNotifications } = require('./lib/notify');
+const { loadState, saveState } = require('./lib/state-store');
+const { createWebhookServer } = require('./lib/webhook');
+const { prepareJiraFields } = require('./lib/fields');
+
+/**
+ * Push mode: a long-running receiver for Delhivery scan pushes (see lib/webhook.js).
+ * The scheduled `node poll.js` keeps running as the reconciliation sweep.
+ *
+ *   WEBHOOK_SECRET=... node server.js     (WEBHOOK_PORT, WEBHOOK_PATH)
+ *
+ * Serves the project configured in the environment; PROFILES_FILE is only read by poll.js.
+ * The receiver keeps its own state store (WEBHOOK_STATE_FILE): both processes rewrite their
+ * whole file, so sharing the poller's STATE_FILE would lose entries.
+ */
+const missing = [...missingEnv(config), ...(config.WEBHOOK_SECRET ? [] : ['WEBHOOK_SECRET'])];
+if (missing.length) {
+  console.error('❌ Missing required environment variables:', missing.join(', '));
+  process.exit(1);
+}
+if (path.resolve(config.WEBHOOK_STATE_FILE) === path.resolve(config.STATE_FILE)) {
+  console.error(`❌ WEBHOOK_STATE_FILE must differ from STATE_FILE (${config.STATE_FILE}): the poller and the receiver would overwrite each other's state`);
+  process.exit(1);
+}
+try {
+  getRules();
+  if (config.LIFECYCLE_CHECKS) getLifecycle();
+  getCommentTemplates();
+  checkNotifications();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+process.on('unhandledRejection', (reason) => {
+  console.error('💥 Unhandled Rejection:', reason);
+});
+
+const state = loadState(config.WEBHOOK_STATE_FILE);
+const { server, idle } = createWebhookServer({ state });
+
+prepareJiraFields().then(() => server.listen(config.WEBHOOK_PORT, () => {
+  console.log(`👂 Listening for Delhivery pushes on :${server.address().port}${config.WEBHOOK_PATH}` +
+    `${config.DRY_RUN ? ' (dry-run: no Jira writes)' : ''}`);
+}), (err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
+
+// Finish queued events and persist state before exiting
+const shutdown = (signal) => {
+  console.log(`🛑 ${signal} received; draining queued pushes...`);
+  server.close();
+  idle().finally(() => {
+    if (!config.DRY_RUN) saveState(config.WEBHOOK_STATE_FILE, state);
+    process.exit(0);
+  });
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
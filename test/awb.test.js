@@ -0,0 +1,24 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractAWB } = require('../lib/delhivery');
+
+test('extractAWB reads waybill query params and tracking URLs', () => {
+  assert.equal(extractAWB('https://www.delhivery.com/track/package/1234567890123'), '1234567890123');
+  assert.equal(extractAWB('https://dlv.li/p/29798810134374'), '29798810134374');
+  assert.equal(extractAWB('https://track.example.com/?awb=1234567890&x=1'), '1234567890');
+  assert.equal(extractAWB('https://track.example.com/?waybill=12345678901'), '12345678901');
+});
+
+test('extractAWB falls back to a bare 10–14 digit number', () => {
+  assert.equal(extractAWB('  29798810134374 '), '29798810134374');
+  assert.equal(extractAWB('AWB: 1234567890 (Delhivery)'), '1234567890');
+});
+
+test('extractAWB rejects values without a usable AWB', () => {
+  assert.equal(extractAWB(''), null);
+  assert.equal(extractAWB(null), null);
+  assert.equal(extractAWB(1234567890123), null);
+  assert.equal(extractAWB('order 12345'), null);
+  assert.equal(extractAWB('123456789012345678'), null);
+});
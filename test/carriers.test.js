@@ -0,0 +1,99 @@
+const { loadShipment, loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { registerCarrier, resolveShipmentRef, getCarrier } = require('../lib/carriers');
+const { classify } = require('../lib/classify');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+// A second courier, enough to prove nothing downstream is Delhivery-only
+const acmePayloads = {
+  AC1001: { id: 'AC1001', state: 'Delivered', code: 'DL', deliveredAt: '2024-05-03T14:10:00.000', pickedAt: '2024-04-30T09:00:00.000' }
+};
+const acmeFetches = [];
+registerCarrier({
+  id: 'acme',
+  name: 'Acme Express',
+  recognizes: (text) => /track\.acme\.test/.test(String(text || '')),
+  extractAWB: (text) => String(text).match(/\b(AC\d+)\b/)?.[1] || null,
+  fetchTracking: async (awb) => acmePayloads[awb] || null,
+  fetchTrackingBatch: async (awbs) => {
+    acmeFetches.push(awbs);
+    return new Map(awbs.filter(a => acmePayloads[a]).map(a => [a, acmePayloads[a]]));
+  },
+  normalize: (raw) => ({
+    carrier: 'acme',
+    awb: raw.id,
+    reference: null,
+    status: { text: raw.state, type: raw.code, code: raw.code, at: raw.deliveredAt, location: null, instructions: null, leg: 'forward', final: raw.code === 'DL' },
+    scans: [],
+    dates: { pickedUp: raw.pickedAt, delivered: raw.deliveredAt },
+    returnFlow: false,
+    raw
+  })
+});
+
+test('the Delhivery adapter maps a Shipment onto the common model', () => {
+  const raw = loadShipment('rto-in-transit');
+  const t = loadTracking('rto-in-transit');
+  assert.equal(t.carrier, 'delhivery');
+  assert.equal(t.awb, raw.AWB);
+  assert.equal(t.status.text, raw.Status.Status);
+  assert.equal(t.scans.length, raw.Scans.length);
+  assert.ok(t.scans.some(s => s.leg === 'return'));
+  assert.equal(t.returnFlow, !!raw.ReverseInTransit);
+  // Delhivery sends IST without an offset; the model carries it explicitly
+  assert.equal(loadShipment('delivered').DeliveryDate, '2024-05-03T21:47:02.000');
+  assert.equal(loadTracking('delivered').dates.delivered, '2024-05-03T21:47:02.000+05:30');
+});
+
+test('the carrier comes from CARRIER_FIELD, then the tracking URL, then DEFAULT_CARRIER', () => {
+  const issue = (tracking, carrier) => ({ key: 'OPS-1', fields: { [config.TRACKING_FIELD]: tracking, customfield_10900: carrier } });
+  assert.deepEqual(resolveShipmentRef(issue('https://track.acme.test/AC1001')), { carrier: 'acme', awb: 'AC1001' });
+  assert.deepEqual(resolveShipmentRef(issue('1234567890101')), { carrier: 'delhivery', awb: '1234567890101' });
+
+  config.CARRIER_FIELD = 'customfield_10900';
+  try {
+    assert.deepEqual(resolveShipmentRef(issue('AC1001', { value: 'Acme Express' })), { carrier: 'acme', awb: 'AC1001' });
+    assert.match(resolveShipmentRef(issue('AC1001', { value: 'Pigeon Post' })).reason, /no adapter for carrier "Pigeon Post"/);
+  } finally {
+    config.CARRIER_FIELD = '';
+  }
+  assert.throws(() => getCarrier('pigeon'), /Unknown carrier "pigeon"/);
+  assert.throws(() => registerCarrier({ id: 'half' }), /missing "name"/);
+});
+
+test('Delhivery-only rules and status maps do not leak onto other carriers', () => {
+  assert.equal(classify({ carrier: 'acme', status: { text: 'Dispatched', type: 'DL' }, dates: {} }).status, null);
+  assert.equal(classify({ carrier: 'delhivery', status: { text: 'Dispatched', type: 'DL' }, dates: {} }).status, 'DELIVERED');
+});
+
+test('run syncs issues of several carriers in one pass', async () => {
+  const delhivery = loadShipment('in-transit');
+  const stub = await startStubServer({
+    issues: [
+      { key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' }, [config.TRACKING_FIELD]: 'https://track.acme.test/AC1001' } },
+      { key: 'OPS-2', fields: { status: { name: 'PICKUP SCHEDULED' }, [config.TRACKING_FIELD]: `https://www.delhivery.com/track/package/${delhivery.AWB}` } }
+    ],
+    shipments: { [delhivery.AWB]: delhivery }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  fs.rmSync(config.STATE_FILE, { force: true });
+  try {
+    assert.deepEqual(await run(), { updated: 2, skipped: 0 });
+    assert.deepEqual(acmeFetches, [['AC1001']]);
+
+    const acme = stub.issue('OPS-1').fields;
+    assert.equal(acme.status.name, 'DELIVERED');
+    assert.equal(acme[config.DELIVERY_DATE_FIELD], '2024-05-03');
+    assert.equal(stub.issue('OPS-2').fields.status.name, 'IN - TRANSIT');
+
+    const lookups = stub.calls.filter(c => c.path === '/api/v1/packages/json/').map(c => c.query.waybill);
+    assert.deepEqual(lookups, [delhivery.AWB]);
+  } finally {
+    await stub.close();
+  }
+});
@@ -0,0 +1,94 @@
+const { loadShipment, loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { buildChargeUpdates, detectDiscrepancies } = require('../lib/charges');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const CHARGES = { ChargedWeight: '1500', DeclaredValue: 1299, CODAmount: 1349, InvoiceAmount: 1299, OrderType: 'COD' };
+
+const FIELDS = {
+  CHARGED_WEIGHT_FIELD: 'customfield_10700',
+  DECLARED_VALUE_FIELD: 'customfield_10701',
+  COD_AMOUNT_FIELD: 'customfield_10702',
+  INVOICE_AMOUNT_FIELD: 'customfield_10703',
+  PAYMENT_MODE_FIELD: 'customfield_10704',
+  BOOKED_WEIGHT_FIELD: 'customfield_10705',
+  ORDER_VALUE_FIELD: 'customfield_10706'
+};
+
+const withChargesConfig = async (overrides, fn) => {
+  const saved = { ...config };
+  Object.assign(config, FIELDS, overrides);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+const order = (booked, value) => ({ fields: { [FIELDS.BOOKED_WEIGHT_FIELD]: booked, [FIELDS.ORDER_VALUE_FIELD]: value } });
+
+test('the Delhivery payload\'s commercial data lands in the model as numbers', () => {
+  assert.deepEqual(loadTracking('delivered', CHARGES).charges,
+    { chargedWeight: 1500, declaredValue: 1299, codAmount: 1349, invoiceAmount: 1299, paymentMode: 'COD' });
+  assert.equal(loadTracking('delivered', { OrderType: 'Pre-paid' }).charges.paymentMode, 'Prepaid');
+  assert.deepEqual(loadTracking('delivered').charges,
+    { chargedWeight: null, declaredValue: null, codAmount: null, invoiceAmount: null, paymentMode: null });
+});
+
+test('charge fields are only written when the carrier\'s value differs', () => withChargesConfig({}, () => {
+  const t = loadTracking('delivered', CHARGES);
+  const issue = { fields: { [FIELDS.CHARGED_WEIGHT_FIELD]: 1500, [FIELDS.PAYMENT_MODE_FIELD]: 'COD' } };
+  assert.deepEqual(buildChargeUpdates(issue, t),
+    { [FIELDS.DECLARED_VALUE_FIELD]: 1299, [FIELDS.COD_AMOUNT_FIELD]: 1349, [FIELDS.INVOICE_AMOUNT_FIELD]: 1299 });
+  config.COD_AMOUNT_FIELD = '';
+  assert.equal(buildChargeUpdates(issue, t)[FIELDS.COD_AMOUNT_FIELD], undefined);
+}));
+
+test('weight beyond the tolerance and COD off the order value are discrepancies', () => withChargesConfig({ WEIGHT_TOLERANCE_PCT: 10, COD_TOLERANCE: 1 }, () => {
+  const t = loadTracking('delivered', CHARGES);
+  assert.deepEqual(detectDiscrepancies(order(1000, 1299), t).map(d => [d.check, d.expected, d.actual, d.difference]),
+    [['weight', 1000, 1500, 500], ['cod', 1299, 1349, 50]]);
+  assert.match(detectDiscrepancies(order(1000, 1299), t)[0].message, /\+50\.0%, tolerance 10%/);
+
+  assert.deepEqual(detectDiscrepancies(order(1400, 1349.5), t), []);  // 7% heavier, 50 paise off
+  assert.deepEqual(detectDiscrepancies(order(null, 1299), loadTracking('delivered', { ...CHARGES, OrderType: 'Pre-paid', CODAmount: 0 })), []);
+  config.ORDER_VALUE_FIELD = '';
+  assert.deepEqual(detectDiscrepancies(order(1000, 1299), t).map(d => d.check), ['weight']);
+}));
+
+test('a run fills the fields, flags each discrepancy once and exports every run\'s differences', async () => {
+  const delivered = { ...loadShipment('delivered'), ...CHARGES };
+  const stub = await startStubServer({
+    issues: [{
+      key: 'OPS-2',
+      fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: delivered.AWB, ...order(1000, 1349).fields }
+    }],
+    shipments: { [delivered.AWB]: delivered }
+  });
+  fs.rmSync(config.STATE_FILE, { force: true });
+  const csvFile = `${config.STATE_FILE}.discrepancies.csv`;
+  await withChargesConfig({ JIRA_DOMAIN: stub.url, DELHIVERY_BASE_URL: stub.url, DISCREPANCY_CSV_FILE: csvFile }, async () => {
+    try {
+      await run();
+      const fields = stub.issue('OPS-2').fields;
+      assert.equal(fields[FIELDS.CHARGED_WEIGHT_FIELD], 1500);
+      assert.equal(fields[FIELDS.PAYMENT_MODE_FIELD], 'COD');
+      assert.deepEqual(fields.labels, ['weight-discrepancy']);
+      const flagged = stub.comments.filter(c => JSON.stringify(c.body).includes('[Charges]'));
+      assert.equal(flagged.length, 1);
+
+      await run();
+      assert.equal(stub.comments.filter(c => JSON.stringify(c.body).includes('[Charges]')).length, 1);
+      const [header, ...lines] = fs.readFileSync(csvFile, 'utf8').trim().split('\n');
+      assert.equal(header, 'run_started_at,project,issue,awb,carrier,check,expected,actual,difference,outcome');
+      assert.equal(lines.length, 1);
+      assert.match(lines[0], /,OPS,OPS-2,1234567890103,delhivery,weight,1000,1500,500,/);
+    } finally {
+      await stub.close();
+    }
+  });
+});
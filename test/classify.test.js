@@ -0,0 +1,57 @@
+const { loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { interpretStatus, classify, findVerifiedCancellation } = require('../lib/classify');
+const { findTransitionByName } = require('../lib/jira');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'shipments');
+const expected = require('./fixtures/expected-statuses.json');
+
+test('every fixture classifies to its expected status', () => {
+  for (const file of fs.readdirSync(fixturesDir)) {
+    const shipment = loadTracking(path.basename(file, '.json'));
+    assert.equal(interpretStatus(shipment), expected[shipment.awb], file);
+  }
+});
+
+test('delivery outranks an earlier RTO start', () => {
+  const { status, rule } = classify(loadTracking('delivered-after-rto-start'));
+  assert.equal(status, 'DELIVERED');
+  assert.equal(rule.id, 'delivered-date');
+});
+
+test('return scans after the delivery send a delivered shipment back to RTO in transit', () => {
+  const { status, rule } = classify(loadTracking('returned-after-delivery'));
+  assert.equal(status, 'RTO IN - TRANSIT');
+  assert.equal(rule.id, 'return-after-delivery');
+});
+
+test('instruction heuristics and the status map fallback', () => {
+  const t = (text, instructions) => ({ carrier: 'delhivery', status: { text, instructions } });
+  assert.equal(interpretStatus(t('Pending', 'Consignee unavailable')), 'IN - TRANSIT');
+  assert.equal(interpretStatus(t('Pending', 'Code verified cancellation')), 'RTO IN - TRANSIT');
+  assert.equal(interpretStatus(t('In Transit', 'NTD updated')), 'RTO IN - TRANSIT');
+  assert.equal(interpretStatus(t('Manifested', 'Manifest uploaded')), 'PICKUP SCHEDULED');
+  assert.equal(classify(t('Manifested', '')).rule.id, 'status-map');
+  assert.equal(interpretStatus(t('Something new', 'no idea')), null);
+});
+
+test('findVerifiedCancellation returns the earliest matching scan', () => {
+  const cxl = findVerifiedCancellation(loadTracking('rto-in-transit'));
+  assert.equal(cxl.instructions, 'Whatsapp verified cancellation');
+  assert.equal(findVerifiedCancellation(loadTracking('delivered')), null);
+});
+
+test('findTransitionByName matches aliases and the fuzzy RTO fallback', () => {
+  const transitions = [
+    { id: '11', to: { name: 'In Transit' } },
+    { id: '21', to: { name: 'Return Delivered' } },
+    { id: '31', to: { name: 'RTO - Transit (Reverse)' } }
+  ];
+  assert.equal(findTransitionByName(transitions, 'IN - TRANSIT').id, '11');
+  assert.equal(findTransitionByName(transitions, 'RTO DELIVERED').id, '21');
+  assert.equal(findTransitionByName(transitions, 'RTO IN - TRANSIT').id, '31');
+  assert.equal(findTransitionByName(transitions, 'DELIVERED'), null);
+});
@@ -0,0 +1,114 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { EXIT, main } = require('../cli');
+const { startStubServer } = require('./helpers/stub-server');
+
+const issue = (key, status, awb) => ({
+  key,
+  fields: { status: { name: status }, [config.TRACKING_FIELD]: `https://www.delhivery.com/track/package/${awb}` }
+});
+
+const shipments = Object.fromEntries(
+  ['in-transit', 'delivered', 'rto-in-transit'].map(name => {
+    const s = loadShipment(name);
+    return [s.AWB, s];
+  })
+);
+
+// Runs the CLI in-process; resolves to { code, out, err }
+const cli = async (...argv) => {
+  const out = [];
+  const err = [];
+  const { log, error } = console;
+  console.log = (...args) => out.push(args.join(' '));
+  console.error = (...args) => err.push(args.join(' '));
+  try {
+    const code = await main(argv);
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  } finally {
+    Object.assign(console, { log, error });
+  }
+};
+
+let stub;
+
+test.beforeEach(async () => {
+  stub = await startStubServer({
+    issues: [
+      issue('OPS-1', 'PICKUP SCHEDULED', '1234567890101'),
+      issue('OPS-2', 'OUT FOR DELIVERY', '1234567890103'),
+      issue('OPS-3', 'IN - TRANSIT', '1234567890105')
+    ],
+    shipments
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.DRY_RUN = false;
+  fs.rmSync(config.STATE_FILE, { force: true });
+});
+
+test.afterEach(() => stub.close());
+
+const writes = () => stub.calls.filter(c => c.method !== 'GET' && !/\/search/.test(c.path) && !/\/api\/v1\/packages/.test(c.path));
+
+test('bad arguments exit with the usage code', async () => {
+  assert.equal((await cli()).code, EXIT.usage);
+  assert.equal((await cli('frobnicate')).code, EXIT.usage);
+  assert.equal((await cli('track')).code, EXIT.usage);
+  assert.equal((await cli('track', '123', '--carrier', 'bluedart')).code, EXIT.usage);
+  assert.equal((await cli('sync')).code, EXIT.usage);
+  assert.equal((await cli('sync', 'OPS-1', '--jql', 'project = OPS')).code, EXIT.usage);
+  const { code, err } = await cli('sync', 'ops1');
+  assert.equal(code, EXIT.usage);
+  assert.match(err, /not issue keys: ops1\nUsage: node cli\.js/);
+});
+
+test('track prints the shipment model, or exits 3 for an AWB the carrier does not know', async () => {
+  const { code, out } = await cli('track', '1234567890103');
+  assert.equal(code, EXIT.ok);
+  const model = JSON.parse(out);
+  assert.equal(model.awb, '1234567890103');
+  assert.equal(model.carrier, 'delhivery');
+  assert.equal(model.raw, undefined);
+  assert.equal(JSON.parse((await cli('track', '1234567890103', '--raw')).out).raw.AWB, '1234567890103');
+
+  assert.equal((await cli('track', '5555555555')).code, EXIT.notFound);
+});
+
+test('explain names the rule and the planned changes without writing anything', async () => {
+  const { code, out } = await cli('explain', '1234567890103');
+  assert.equal(code, EXIT.ok);
+  assert.match(out, /rule: {4}delivered-date \(priority 20\): dates\.delivered present → "DELIVERED"/);
+  assert.match(out, /matched: dates\.delivered = "2024-05-03[^"]*" \(high confidence\)/);
+  assert.match(out, /OPS-2 awb=1234567890103/);
+  assert.match(out, /status: "OUT FOR DELIVERY" → "DELIVERED"/);
+  assert.match(out, /Delivery Date \[customfield_10102\]: \(empty\) → "2024-05-03"/);
+  assert.deepEqual(writes(), []);
+});
+
+test('sync touches only the issues asked for', async () => {
+  const { code } = await cli('sync', 'OPS-2');
+  assert.equal(code, EXIT.ok);
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+  assert.equal(stub.issue('OPS-1').fields.status.name, 'PICKUP SCHEDULED');
+  assert.equal(stub.issue('OPS-3').fields.status.name, 'IN - TRANSIT');
+
+  const jql = await cli('sync', '--jql', 'project = OPS AND status = "IN - TRANSIT"');
+  assert.equal(jql.code, EXIT.ok);
+  assert.equal(stub.issue('OPS-3').fields.status.name, 'RTO IN - TRANSIT');
+  assert.equal(stub.issue('OPS-1').fields.status.name, 'PICKUP SCHEDULED');
+  assert.match(jql.out, /📊 Delhivery → Jira sync \(OPS\): 1 updated/);
+});
+
+test('sync exits 3 for issues Jira does not return and 1 when an update fails', async () => {
+  const missing = await cli('sync', 'OPS-2', 'OPS-77');
+  assert.equal(missing.code, EXIT.notFound);
+  assert.match(missing.err, /Not found: OPS-77/);
+  assert.equal((await cli('sync', '--jql', 'status = "NDR"')).code, EXIT.notFound);
+
+  stub.fail({ method: 'GET', path: /OPS-1\/transitions$/, status: 400 });
+  assert.equal((await cli('sync', 'OPS-1')).code, EXIT.failed);
+});
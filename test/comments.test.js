@@ -0,0 +1,128 @@
+const { loadShipment, loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../lib/config');
+const { buildStatusComment, loadCommentTemplates, setCommentTemplates } = require('../lib/comments');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const writeTemplates = (doc) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-comments-')), 'templates.json');
+  fs.writeFileSync(file, JSON.stringify(doc));
+  return file;
+};
+
+test('status comments carry the scan time, place and a tracking link', () => {
+  const comment = buildStatusComment(loadTracking('in-transit'), 'IN - TRANSIT');
+  assert.equal(comment.text.split('\n')[0], 'Order is now in transit as of 01 May 2024, 22:41 (+05:30) at Delhi_Bamnoli_HB (Delhi).');
+  assert.match(comment.text, /^Expected delivery: 2024-05-03$/m);
+  const link = comment.adf.content[0].content.find(n => n.marks);
+  assert.deepEqual(link.marks, [{ type: 'link', attrs: { href: 'https://www.delhivery.com/track/package/1234567890101' } }]);
+  assert.match(comment.key, /^1234567890101:[0-9a-f]{12}:intransit$/);
+  assert.equal(buildStatusComment(loadTracking('in-transit'), 'PICKUP SCHEDULED'), null);
+});
+
+test('optional sections and empty lines drop out when their variable has no value', () => {
+  const tracking = loadTracking('in-transit');
+  tracking.status = { ...tracking.status, location: null, instructions: null };
+  tracking.scans = [];
+  tracking.dates = { ...tracking.dates, expected: null, promised: null };
+  assert.equal(buildStatusComment(tracking, 'OUT FOR DELIVERY').text.split('\n').length, 2);
+  assert.match(buildStatusComment(tracking, 'OUT FOR DELIVERY').text, /^Order is out for delivery as of 01 May 2024, 22:41 \(\+05:30\)\.\n/);
+});
+
+test('a new scan is a new event; the same scan keeps its key', () => {
+  const first = buildStatusComment(loadTracking('in-transit'), 'IN - TRANSIT');
+  assert.equal(buildStatusComment(loadTracking('in-transit'), 'IN - TRANSIT').key, first.key);
+  const later = loadTracking('in-transit');
+  later.status = { ...later.status, at: '2024-05-02T08:00:00.000+05:30' };
+  assert.notEqual(buildStatusComment(later, 'IN - TRANSIT').key, first.key);
+});
+
+test('an invalid templates file is rejected with every problem listed', () => {
+  const file = writeTemplates({ version: 2, templates: { NDR: ['Reason: {{reason}}'], DELIVERED: [] } });
+  assert.throws(() => loadCommentTemplates(file), (err) => {
+    assert.match(err.message, /^Invalid comment templates in .*templates\.json:/);
+    assert.match(err.message, /"version" must be 1/);
+    assert.match(err.message, /templates\["NDR"\]: unknown variable \{\{reason\}\}/);
+    assert.match(err.message, /templates\["DELIVERED"\] must be a non-empty list of strings/);
+    return true;
+  });
+});
+
+test('COMMENT_TEMPLATES_FILE replaces the wording', () => {
+  setCommentTemplates(loadCommentTemplates(writeTemplates({ version: 1, templates: { DELIVERED: ['Delivered ({{carrier}} AWB {{awb}})'] } })));
+  try {
+    assert.equal(buildStatusComment(loadTracking('delivered'), 'delivered').text, 'Delivered (Delhivery AWB 1234567890103)');
+  } finally {
+    setCommentTemplates(null);
+  }
+});
+
+test('a re-run does not post the same event comment again, even without the state file', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'PICKUP SCHEDULED' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered },
+    transitions: { 'PICKUP SCHEDULED': ['IN - TRANSIT'] }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+
+  try {
+    await run();
+    fs.rmSync(config.STATE_FILE, { force: true });
+    await run();
+    assert.equal(stub.comments.length, 1);
+    assert.match(stub.comments[0].body.content[0].content[0].text, /^\[Note\] Intended status "DELIVERED"/);
+    assert.deepEqual(stub.properties['OPS-2']['delhivery-sync.commentEvents'].keys, [
+      buildStatusComment(loadTracking('delivered'), 'DELIVERED').key + ':note'
+    ]);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('the event comment is posted even when the field update fails', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  fs.rmSync(config.STATE_FILE, { force: true });
+  stub.fail({ method: 'PUT', path: /^\/rest\/api\/3\/issue\/OPS-2$/, status: 400 });
+
+  try {
+    await run();
+    assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+    assert.equal(stub.comments.length, 1);
+    assert.ok(stub.calls.some(c => c.method === 'PUT' && c.path === '/rest/api/3/issue/OPS-2' && c.body.fields));
+  } finally {
+    await stub.close();
+  }
+});
+
+test('an event whose key cannot be recorded is not commented, so it can never be commented twice', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  fs.rmSync(config.STATE_FILE, { force: true });
+  stub.fail({ method: 'PUT', path: /\/properties\/delhivery-sync\.commentEvents$/, status: 500, times: 100 });
+
+  try {
+    await run();
+    assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+    assert.equal(stub.comments.length, 0);
+  } finally {
+    await stub.close();
+  }
+});
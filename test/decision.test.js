@@ -0,0 +1,85 @@
+const { loadShipment, loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { classify } = require('../lib/classify');
+const { DECISION_PROPERTY, describeDecision, recordDecision } = require('../lib/decision');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+test('the summary names the status, rule, evidence and confidence', () => {
+  const { decision } = classify(loadTracking('delivered'));
+  assert.match(describeDecision(decision),
+    /^DELIVERED by delivered-date \(high confidence\): dates\.delivered = "2024-05-03[^"]*" · rules \S+$/);
+});
+
+test('a sync records the decision on the issue, once per distinct decision', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.DECISION_MODE = 'property';
+  fs.rmSync(config.STATE_FILE, { force: true });
+  try {
+    await run();
+    const saved = stub.properties['OPS-2'][DECISION_PROPERTY];
+    assert.equal(saved.status, 'DELIVERED');
+    assert.equal(saved.ruleId, 'delivered-date');
+    assert.equal(saved.confidence, 'high');
+    assert.equal(saved.matched.field, 'dates.delivered');
+
+    assert.equal(await recordDecision('OPS-2', classify(loadTracking('delivered')).decision), 'unchanged');
+    const rto = classify(loadTracking('rto-in-transit')).decision;
+    assert.equal(await recordDecision('OPS-2', rto), 'recorded');
+    assert.equal(stub.properties['OPS-2'][DECISION_PROPERTY].ruleId, rto.ruleId);
+  } finally {
+    config.DECISION_MODE = 'off';
+    await stub.close();
+  }
+});
+
+test('field mode also writes the one-line summary to DECISION_FIELD', async () => {
+  const stub = await startStubServer({ issues: [{ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' } } }] });
+  config.JIRA_DOMAIN = stub.url;
+  Object.assign(config, { DECISION_MODE: 'field', DECISION_FIELD: 'customfield_10998' });
+  try {
+    const { decision } = classify(loadTracking('rto-in-transit'));
+    assert.equal(await recordDecision('OPS-1', decision), 'recorded');
+    assert.equal(stub.issue('OPS-1').fields.customfield_10998, describeDecision(decision));
+  } finally {
+    Object.assign(config, { DECISION_MODE: 'off', DECISION_FIELD: '' });
+    await stub.close();
+  }
+});
+
+test('a blocked move is recorded as not applied, and an unchanged decision costs no Jira call', async () => {
+  const shipment = loadShipment('in-transit');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: shipment.AWB } }],
+    shipments: { [shipment.AWB]: shipment }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.DECISION_MODE = 'property';
+  fs.rmSync(config.STATE_FILE, { force: true });
+  const decisionCalls = () => stub.calls.filter(c => c.path.endsWith(`/properties/${DECISION_PROPERTY}`)).length;
+  try {
+    await run();
+    const saved = stub.properties['OPS-2'][DECISION_PROPERTY];
+    assert.equal(saved.status, 'IN - TRANSIT');
+    assert.match(saved.blocked, /"OUT FOR DELIVERY" → "IN - TRANSIT" goes backwards/);
+    assert.match(describeDecision(saved), / · not applied: /);
+
+    // Still blocked, so the issue is re-checked, but the decision on it is already current
+    const calls = decisionCalls();
+    await run();
+    assert.equal(decisionCalls(), calls);
+  } finally {
+    config.DECISION_MODE = 'off';
+    await stub.close();
+  }
+});
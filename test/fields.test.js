@@ -0,0 +1,92 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config, readConfig } = require('../lib/config');
+const { FIELD_SPECS, prepareJiraFields } = require('../lib/fields');
+const { run } = require('../lib/sync');
+const { startStubServer, DEFAULT_FIELDS } = require('./helpers/stub-server');
+
+const shipment = loadShipment('in-transit');
+const issues = [{ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' }, customfield_10100: shipment.AWB } }];
+const pinned = { ...config };
+
+let stub;
+const start = async (options) => {
+  stub = await startStubServer({ issues, shipments: { [shipment.AWB]: shipment }, ...options });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+};
+
+test.beforeEach(() => fs.rmSync(config.STATE_FILE, { force: true }));
+test.afterEach(async () => {
+  Object.assign(config, pinned);
+  await stub?.close();
+  stub = null;
+});
+
+test('unpinned fields are found by display name', async () => {
+  await start({
+    fields: DEFAULT_FIELDS.map(f => (f.id === 'customfield_10357' ? { ...f, id: 'customfield_20357', name: 'latest pdd' } : f))
+  });
+  config.LATEST_PDD_FIELD = '';
+  config.RTO_REASON_FIELD = '';
+  config.DISPATCH_DATE_FIELD = 'customfield_10101'; // env override still wins
+
+  await prepareJiraFields();
+  assert.equal(config.LATEST_PDD_FIELD, 'customfield_20357');
+  assert.equal(config.RTO_REASON_FIELD, 'customfield_10355');
+  assert.equal(config.DISPATCH_DATE_FIELD, 'customfield_10101');
+});
+
+test('without CUSTOMFIELD_* env the original field ids are still written when the names do not match', async () => {
+  const LEGACY = ['customfield_10288', 'customfield_10321', 'customfield_10354', 'customfield_10355', 'customfield_10356', 'customfield_10357'];
+  await start({ fields: DEFAULT_FIELDS.map(f => (LEGACY.includes(f.id) ? { ...f, name: `${f.name} (Delhivery)` } : f)) });
+  const env = Object.fromEntries(Object.entries(process.env).filter(([k]) => !k.startsWith('CUSTOMFIELD_')));
+  Object.assign(config, readConfig(env, []), { JIRA_DOMAIN: stub.url, DELHIVERY_BASE_URL: stub.url });
+  assert.equal(config.LATEST_PDD_FIELD, '');
+
+  await run();
+  assert.deepEqual(LEGACY.map(id => config[FIELD_SPECS.find(spec => spec.legacyId === id).key]), LEGACY);
+  const { fields } = stub.issue('OPS-1');
+  assert.equal(fields.customfield_10357, '2024-05-03');
+  assert.equal(fields.customfield_10354, '2024-05-03');
+  assert.equal(fields.customfield_10288, shipment.Status.Instructions);
+});
+
+test('a misconfigured site stops the run before any issue is touched, with every problem listed', async () => {
+  await start({
+    fields: [
+      ...DEFAULT_FIELDS.filter(f => !['customfield_10321', 'customfield_10355', 'customfield_10102'].includes(f.id)),
+      { id: 'customfield_10355', name: 'RTO Reason', schema: { type: 'option' } },
+      { id: 'customfield_10102', name: 'Delivery Date', schema: { type: 'datetime' } },
+      { id: 'customfield_20001', name: 'Latest PDD', schema: { type: 'date' } }
+    ]
+  });
+  config.OUT_FOR_DELIVERY_DATE_FIELD = '';
+  config.LATEST_PDD_FIELD = '';
+  config.LATEST_INSTRUCTION_FIELD = 'customfield_404';
+
+  await assert.rejects(run(), (err) => {
+    assert.match(err.message, /^Jira field check failed:/);
+    assert.match(err.message, /CUSTOMFIELD_LATEST_INSTRUCTION=customfield_404 is not a field on this Jira site/);
+    assert.match(err.message, /no field named "Out for Delivery Date"; create it or set CUSTOMFIELD_OUT_FOR_DELIVERY_DATE/);
+    assert.match(err.message, /2 fields are named "Latest PDD" \(customfield_10357, customfield_20001\)/);
+    assert.match(err.message, /RTO Reason \(customfield_10355, CUSTOMFIELD_RTO_REASON\) is a "option" field; expected string/);
+    assert.match(err.message, /Delivery Date .* is a datetime field; add it to DATETIME_FIELDS/);
+    return true;
+  });
+  assert.deepEqual(stub.writes(), []);
+  assert.equal(stub.calls.some(c => c.path === '/api/v1/packages/json/'), false);
+});
+
+test('fields missing from the edit screen are reported before the first write', async () => {
+  await start({ editable: DEFAULT_FIELDS.map(f => f.id).filter(id => id !== 'customfield_10321') });
+  await assert.rejects(run(), /customfield_10321 \(CUSTOMFIELD_OUT_FOR_DELIVERY_DATE\) is not on the edit screen of OPS-1/);
+  assert.deepEqual(stub.writes(), []);
+
+  // The tracking field is only read, so it may stay off the edit screen
+  stub.editable = DEFAULT_FIELDS.map(f => f.id).filter(id => id !== 'customfield_10100');
+  await run();
+  assert.equal(stub.issue('OPS-1').fields[config.LATEST_PDD_FIELD], '2024-05-03');
+});
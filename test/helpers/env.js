@@ -0,0 +1,54 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Baseline env for tests. Require this before anything under lib/, since
+ * lib/config reads process.env once on load.
+ */
+const defaults = {
+  DELHIVERY_TOKEN: 'test-delhivery-token',
+  JIRA_DOMAIN: 'http://127.0.0.1:1',
+  JIRA_EMAIL: 'bot@example.com',
+  JIRA_API_TOKEN: 'test-jira-token',
+  JIRA_PROJECT: 'OPS',
+  TRACKING_FIELD: 'customfield_10100',
+  CUSTOMFIELD_DISPATCH_DATE: 'customfield_10101',
+  CUSTOMFIELD_DELIVERY_DATE: 'customfield_10102',
+  CUSTOMFIELD_RTO_DATE: 'customfield_10103',
+  CUSTOMFIELD_LATEST_INSTRUCTION: 'customfield_10288',
+  CUSTOMFIELD_OUT_FOR_DELIVERY_DATE: 'customfield_10321',
+  CUSTOMFIELD_PROMISED_DELIVERY_DATE: 'customfield_10354',
+  CUSTOMFIELD_LATEST_PDD: 'customfield_10357',
+  CUSTOMFIELD_RTO_REASON: 'customfield_10355',
+  CUSTOMFIELD_RTO_INITIATED_DATE: 'customfield_10356',
+  POST_DELIVERY_ASSIGNEE: 'acct-post-delivery',
+  JIRA_RATE_PER_SEC: '0',
+  DELHIVERY_RATE_PER_SEC: '0',
+  HTTP_BASE_DELAY_MS: '1',
+  HTTP_MAX_DELAY_MS: '5',
+  SLA_CHECKS: '0', // fixtures date from 2024, so every open shipment would be overdue
+  SCAN_TIMELINE_MODE: 'off',
+  DECISION_MODE: 'off',
+  STATE_FILE: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-test-')), 'state.json'),
+  WEBHOOK_STATE_FILE: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-test-')), 'webhook-state.json')
+};
+
+for (const [k, v] of Object.entries(defaults)) {
+  if (process.env[k] === undefined) process.env[k] = v;
+}
+// The poller narrates every step on stdout; keep test output readable (TEST_VERBOSE=1 to see it)
+if (process.env.TEST_VERBOSE !== '1') console.log = () => {};
+
+delete process.env.DRY_RUN;
+delete process.env.DEBUG_AWB;
+delete process.env.DEBUG_ISSUE_KEY;
+
+const loadShipment = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'shipments', `${name}.json`), 'utf8'));
+
+// A fixture as the common shipment model; `overrides` patch the raw Delhivery payload first
+const loadTracking = (name, overrides = {}) =>
+  require('../../lib/carriers/delhivery').normalize({ ...loadShipment(name), ...overrides });
+
+module.exports = { loadShipment, loadTracking };
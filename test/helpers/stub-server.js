@@ -0,0 +1,232 @@
+const http = require('http');
+
+/**
+ * In-process stand-in for Jira Cloud and the Delhivery packages API.
+ *
+ *   const stub = await startStubServer({ issues, shipments });
+ *   config.JIRA_DOMAIN = config.DELHIVERY_BASE_URL = stub.url;
+ *
+ * Issues are mutated in place by transitions / field PUTs, comments are collected,
+ * and every request lands in `stub.calls`. `stub.fail(...)` queues error responses.
+ */
+const JIRA_STATUSES = [
+  'PICKUP SCHEDULED',
+  'IN - TRANSIT',
+  'OUT FOR DELIVERY',
+  'NDR',
+  'DELIVERED',
+  'RTO IN - TRANSIT',
+  'RTO DELIVERED',
+  'PICKUP EXCEPTION - DELHIVERY'
+];
+
+// The custom fields test/helpers/env.js points at, plus the opt-in ones tests switch on
+const DEFAULT_FIELDS = [
+  ['customfield_10100', 'Tracking Link', 'string'],
+  ['customfield_10101', 'Dispatch Date', 'date'],
+  ['customfield_10102', 'Delivery Date', 'date'],
+  ['customfield_10103', 'RTO Delivered Date', 'date'],
+  ['customfield_10288', 'Latest Delhivery Comments', 'string'],
+  ['customfield_10321', 'Out for Delivery Date', 'date'],
+  ['customfield_10354', 'Promised Delivery Date', 'date'],
+  ['customfield_10355', 'RTO Reason', 'string'],
+  ['customfield_10356', 'RTO Initiated Date', 'date'],
+  ['customfield_10357', 'Latest PDD', 'date'],
+  ['customfield_10500', 'NDR Action', 'option'],
+  ['customfield_10501', 'NDR Reschedule Date', 'date'],
+  ['customfield_10600', 'Customer Phone', 'string'],
+  ['customfield_10601', 'Customer Email', 'string'],
+  ['customfield_10602', 'Customer Name', 'string'],
+  ['customfield_10700', 'Charged Weight', 'number'],
+  ['customfield_10701', 'Declared Value', 'number'],
+  ['customfield_10702', 'COD Amount', 'number'],
+  ['customfield_10703', 'Invoice Amount', 'number'],
+  ['customfield_10704', 'Payment Mode', 'string'],
+  ['customfield_10705', 'Booked Weight', 'number'],
+  ['customfield_10706', 'Order Value', 'number'],
+  ['customfield_10900', 'Courier', 'option'],
+  ['customfield_10999', 'Scan Timeline', 'string']
+].map(([id, name, type]) => ({ id, name, custom: true, schema: { type } }));
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', c => { raw += c; });
+  req.on('end', () => {
+    try { resolve(raw ? JSON.parse(raw) : null); } catch { resolve(raw); }
+  });
+});
+
+// Enough JQL for the poller's own queries: project =, key =, status =, status NOT IN (...), cf[n] ~ "text",
+// created >= / < date (issues without fields.created count as new), labels NOT IN (...)
+const matchJql = (issue, jql) => {
+  const status = issue.fields.status?.name;
+  const project = jql.match(/\bproject\s*=\s*([A-Z][A-Z0-9]*)/);
+  if (project && !issue.key.startsWith(`${project[1]}-`)) return false;
+  const key = jql.match(/\bkey\s*=\s*([A-Z]+-\d+)/);
+  if (key && issue.key !== key[1]) return false;
+  const keyIn = jql.match(/\bkey\s+in\s*\(([^)]*)\)/i);
+  if (keyIn && !keyIn[1].split(',').map(k => k.trim()).includes(issue.key)) return false;
+  const eq = jql.match(/\bstatus\s*=\s*"([^"]+)"/);
+  if (eq && status !== eq[1]) return false;
+  const contains = jql.match(/\bcf\[(\d+)\]\s*~\s*"([^"]*)"/);
+  if (contains && !String(issue.fields[`customfield_${contains[1]}`] || '').includes(contains[2])) return false;
+  const notIn = jql.match(/\bstatus\s+NOT\s+IN\s*\(([^)]*)\)/i);
+  if (notIn && notIn[1].split(',').map(s => s.trim().replace(/^"|"$/g, '')).includes(status)) return false;
+  const created = String(issue.fields.created || '9999-12-31').slice(0, 10);
+  const since = jql.match(/\bcreated\s*>=\s*([\d-]+)/);
+  if (since && created < since[1]) return false;
+  const before = jql.match(/\bcreated\s*<\s*([\d-]+)/);
+  if (before && created >= before[1]) return false;
+  const labelsNotIn = jql.match(/\blabels\s+NOT\s+IN\s*\(([^)]*)\)/i);
+  if (labelsNotIn && labelsNotIn[1].split(',').map(s => s.trim().replace(/^"|"$/g, '')).some(l => (issue.fields.labels || []).includes(l))) return false;
+  return true;
+};
+
+const startStubServer = async ({ issues = [], shipments = {}, transitions = null, fields = DEFAULT_FIELDS, editable = null } = {}) => {
+  const stub = {
+    issues: new Map(issues.map(i => [i.key, JSON.parse(JSON.stringify(i))])),
+    fields, // GET /rest/api/3/field: [{ id, name, schema: { type } }]
+    editable: editable || fields.map(f => f.id), // field ids on every issue's edit screen (editmeta)
+    properties: {}, // issueKey → { propertyKey: value }
+    shipments: { ...shipments },
+    // status name → reachable statuses; default: every status is reachable
+    transitions: transitions || {},
+    comments: [],
+    webhooks: [],
+    ndrRequests: [],
+    uplStatus: {}, // request id → bulk UPL status response
+    calls: [],
+    failures: []
+  };
+
+  const transitionsFor = (issue) => {
+    const from = issue.fields.status?.name;
+    const targets = stub.transitions[from] || JIRA_STATUSES.filter(s => s !== from);
+    return targets.map(to => ({ id: String(JIRA_STATUSES.indexOf(to) + 1), name: `To ${to}`, to: { name: to } }));
+  };
+
+  const send = (res, status, data, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+  };
+
+  const handle = (req, res, url, body) => {
+    const path = url.pathname;
+    let m;
+
+    if (req.method === 'GET' && path === '/api/v1/packages/json/') {
+      const waybills = String(url.searchParams.get('waybill') || '').split(',').filter(Boolean);
+      const data = waybills.filter(w => stub.shipments[w]).map(w => ({ Shipment: stub.shipments[w] }));
+      return send(res, 200, { ShipmentData: data });
+    }
+
+    if (req.method === 'POST' && path === '/api/p/update') {
+      const request_id = `REQ-${stub.ndrRequests.length + 1}`;
+      stub.ndrRequests.push({ request_id, data: body?.data });
+      return send(res, 200, { request_id, status: true });
+    }
+    if (req.method === 'GET' && (m = path.match(/^\/api\/cmu\/get_bulk_upl\/([^/]+)$/))) {
+      return send(res, 200, stub.uplStatus[m[1]] || { status: 'Pending' });
+    }
+
+    if (req.method === 'POST' && path.startsWith('/hooks/')) {
+      stub.webhooks.push(body);
+      return send(res, 200, { ok: true });
+    }
+
+    if (req.method === 'POST' && (path === '/rest/api/3/search/jql' || path === '/rest/api/3/search')) {
+      const found = [...stub.issues.values()].filter(i => matchJql(i, body?.jql || ''));
+      return send(res, 200, { issues: found, isLast: true });
+    }
+
+    if (req.method === 'GET' && path === '/rest/api/3/field') return send(res, 200, stub.fields);
+
+    if ((m = path.match(/^\/rest\/api\/3\/issue\/([^/]+)(\/.*)?$/))) {
+      const issue = stub.issues.get(m[1]);
+      if (!issue) return send(res, 404, { errorMessages: ['Issue does not exist'] });
+      const sub = m[2] || '';
+
+      if (req.method === 'GET' && sub === '/editmeta') {
+        const onScreen = stub.fields.filter(f => stub.editable.includes(f.id));
+        return send(res, 200, { fields: Object.fromEntries(onScreen.map(f => [f.id, { name: f.name, schema: f.schema }])) });
+      }
+      if (req.method === 'GET' && sub === '/transitions') return send(res, 200, { transitions: transitionsFor(issue) });
+      if (req.method === 'POST' && sub === '/transitions') {
+        const t = transitionsFor(issue).find(x => x.id === String(body?.transition?.id));
+        if (!t) return send(res, 400, { errorMessages: ['Transition is not valid'] });
+        issue.fields.status = { name: t.to.name };
+        return send(res, 204);
+      }
+      if (req.method === 'PUT' && sub === '') {
+        Object.assign(issue.fields, body?.fields || {});
+        for (const op of body?.update?.labels || []) {
+          const labels = new Set(issue.fields.labels || []);
+          if (op.add) labels.add(op.add);
+          if (op.remove) labels.delete(op.remove);
+          issue.fields.labels = [...labels];
+        }
+        return send(res, 204);
+      }
+      if (req.method === 'PUT' && sub === '/assignee') {
+        issue.fields.assignee = { accountId: body?.accountId };
+        return send(res, 204);
+      }
+      if (req.method === 'GET' && sub === '/comment') {
+        return send(res, 200, { comments: stub.comments.filter(c => c.issueKey === issue.key).reverse() });
+      }
+      if (req.method === 'POST' && sub === '/comment') {
+        const comment = { id: String(stub.comments.length + 1), issueKey: issue.key, body: body?.body };
+        stub.comments.push(comment);
+        return send(res, 201, comment);
+      }
+      if (req.method === 'PUT' && (m = sub.match(/^\/comment\/([^/]+)$/))) {
+        const comment = stub.comments.find(c => c.id === m[1] && c.issueKey === issue.key);
+        if (!comment) return send(res, 404, { errorMessages: ['Comment not found'] });
+        comment.body = body?.body;
+        return send(res, 200, comment);
+      }
+      if ((m = sub.match(/^\/properties\/([^/]+)$/))) {
+        const props = stub.properties[issue.key] || (stub.properties[issue.key] = {});
+        const propKey = decodeURIComponent(m[1]);
+        if (req.method === 'PUT') {
+          props[propKey] = body;
+          return send(res, 200);
+        }
+        if (req.method === 'GET') {
+          return propKey in props
+            ? send(res, 200, { key: propKey, value: props[propKey] })
+            : send(res, 404, { errorMessages: ['Property not found'] });
+        }
+      }
+    }
+
+    return send(res, 404, { errorMessages: [`No stub for ${req.method} ${path}`] });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://stub');
+    stub.calls.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+    const failure = stub.failures.find(f => f.times > 0 && f.method === req.method && f.path.test(url.pathname));
+    if (failure) {
+      failure.times--;
+      return send(res, failure.status, failure.body ?? { errorMessages: ['stubbed failure'] }, failure.headers);
+    }
+    handle(req, res, url, body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return Object.assign(stub, {
+    url: `http://127.0.0.1:${server.address().port}`,
+    issue: (key) => stub.issues.get(key),
+    writes: () => stub.calls.filter(c => ['POST', 'PUT', 'DELETE'].includes(c.method) && !c.path.includes('/search')),
+    fail: ({ method, path, status = 500, headers = {}, body, times = 1 }) => {
+      stub.failures.push({ method, path, status, headers, body, times });
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  });
+};
+
+module.exports = { startStubServer, JIRA_STATUSES, DEFAULT_FIELDS };
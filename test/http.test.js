@@ -0,0 +1,99 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../lib/config');
+const { createHttpClient, createRateLimiter, parseRetryAfter, backoffDelay } = require('../lib/http');
+const { startStubServer } = require('./helpers/stub-server');
+
+const issue = { key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' } } };
+
+let stub;
+let waits;
+let client;
+
+test.beforeEach(async () => {
+  stub = await startStubServer({ issues: [issue] });
+  waits = [];
+  client = createHttpClient({ name: 'test', baseURL: stub.url, sleepFn: async (ms) => { waits.push(ms); } });
+});
+
+test.afterEach(() => stub.close());
+
+const callsTo = (path) => stub.calls.filter(c => c.path === path).length;
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('7'), 7000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 1970 00:00:10 GMT', 4000), 6000);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('backoffDelay grows exponentially with jitter and stays under the cap', () => {
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    const exp = Math.min(1000 * 2 ** (attempt - 1), 30000);
+    const d = backoffDelay(attempt, 1000, 30000);
+    assert.ok(d >= exp / 2 && d <= exp, `attempt ${attempt}: ${d}`);
+  }
+});
+
+test('429 waits for Retry-After, capped at HTTP_MAX_RETRY_AFTER_MS', async () => {
+  stub.fail({ method: 'GET', path: /transitions$/, status: 429, headers: { 'Retry-After': '3' } });
+  stub.fail({ method: 'GET', path: /transitions$/, status: 429, headers: { 'Retry-After': '600' } });
+
+  const res = await client.get('/rest/api/3/issue/OPS-1/transitions');
+  assert.equal(res.status, 200);
+  assert.deepEqual(waits, [3000, config.HTTP_MAX_RETRY_AFTER_MS]);
+});
+
+test('5xx is retried until it succeeds; other 4xx fail immediately', async () => {
+  stub.fail({ method: 'PUT', path: /OPS-1$/, status: 503, times: 2 });
+  await client.put('/rest/api/3/issue/OPS-1', { fields: { summary: 'x' } });
+  assert.equal(callsTo('/rest/api/3/issue/OPS-1'), 3);
+  assert.equal(waits.length, 2);
+
+  await assert.rejects(client.get('/rest/api/3/issue/OPS-404/transitions'), err => err.response.status === 404);
+  assert.equal(callsTo('/rest/api/3/issue/OPS-404/transitions'), 1);
+});
+
+test('gives up after HTTP_MAX_RETRIES', async () => {
+  stub.fail({ method: 'GET', path: /transitions$/, status: 502, times: 99 });
+  await assert.rejects(client.get('/rest/api/3/issue/OPS-1/transitions'), err => err.response.status === 502);
+  assert.equal(callsTo('/rest/api/3/issue/OPS-1/transitions'), config.HTTP_MAX_RETRIES + 1);
+});
+
+test('comment POST is not re-sent after a 5xx, so it cannot be duplicated', async () => {
+  stub.fail({ method: 'POST', path: /comment$/, status: 500 });
+  await assert.rejects(client.post('/rest/api/3/issue/OPS-1/comment', { body: 'hi' }));
+  assert.equal(callsTo('/rest/api/3/issue/OPS-1/comment'), 1);
+});
+
+test('comment POST is retried after a 429, which the server rejected unprocessed', async () => {
+  stub.fail({ method: 'POST', path: /comment$/, status: 429, headers: { 'Retry-After': '1' } });
+  await client.post('/rest/api/3/issue/OPS-1/comment', { body: 'hi' });
+  assert.equal(stub.comments.length, 1);
+  assert.deepEqual(waits, [1000]);
+});
+
+test('POST marked idempotent is retried on 5xx', async () => {
+  stub.fail({ method: 'POST', path: /search$/, status: 500 });
+  const res = await client.post('/rest/api/3/search', { jql: 'project = OPS' }, { idempotent: true });
+  assert.equal(res.data.issues.length, 1);
+});
+
+test('connection refused is retried even for non-idempotent requests', async () => {
+  const down = createHttpClient({ name: 'down', baseURL: 'http://127.0.0.1:1', sleepFn: async (ms) => { waits.push(ms); } });
+  await assert.rejects(down.post('/x', {}), err => err.code === 'ECONNREFUSED');
+  assert.equal(waits.length, config.HTTP_MAX_RETRIES);
+});
+
+test('the rate limiter spaces request starts across concurrent callers', async () => {
+  const slept = [];
+  const throttle = createRateLimiter(() => 4, async (ms) => { slept.push(ms); });
+  await Promise.all([throttle(), throttle(), throttle()]);
+  assert.equal(slept.length, 2);
+  assert.ok(slept[0] > 200 && slept[0] <= 250, `first wait ${slept[0]}`);
+  assert.ok(slept[1] > 450 && slept[1] <= 500, `second wait ${slept[1]}`);
+
+  const unlimited = createRateLimiter(0, async () => assert.fail('should not wait'));
+  await Promise.all([unlimited(), unlimited()]);
+});
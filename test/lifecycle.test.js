@@ -0,0 +1,112 @@
+const { loadShipment, loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../lib/config');
+const { buildLifecycle, checkMove } = require('../lib/lifecycle');
+const { createWorkflowGraph } = require('../lib/workflow');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+test('forward moves pass; backward moves and moves out of final statuses do not', () => {
+  const inTransit = loadTracking('in-transit');
+  assert.deepEqual(checkMove('PICKUP SCHEDULED', 'IN - TRANSIT', inTransit), { allowed: true });
+  assert.deepEqual(checkMove('NDR', 'OUT FOR DELIVERY', inTransit), { allowed: true });
+  assert.deepEqual(checkMove('OUT FOR DELIVERY', 'IN - TRANSIT', inTransit), { allowed: false, reason: '"OUT FOR DELIVERY" → "IN - TRANSIT" goes backwards' });
+  assert.deepEqual(checkMove('DELIVERED', 'IN - TRANSIT', inTransit), { allowed: false, reason: '"DELIVERED" is a final status' });
+  assert.deepEqual(checkMove('RTO IN - TRANSIT', 'DELIVERED', inTransit).allowed, false);
+  // Statuses outside the model are not judged
+  assert.deepEqual(checkMove('Waiting for customer', 'IN - TRANSIT', inTransit), { allowed: true });
+});
+
+test('exceptions allow a move out of a final status only when their predicate holds', () => {
+  assert.equal(checkMove('DELIVERED', 'RTO IN - TRANSIT', loadTracking('rto-in-transit')).allowed, false);
+  // Return scans before the delivery (delivered-after-rto-start) do not count; one after it does
+  const delivered = loadTracking('delivered-after-rto-start');
+  assert.equal(checkMove('DELIVERED', 'RTO IN - TRANSIT', delivered).allowed, false);
+  const returning = { ...delivered, scans: [...delivered.scans, { at: '2024-05-05T10:00:00.000+05:30', text: 'In Transit', leg: 'return' }] };
+  const move = checkMove('DELIVERED', 'RTO IN - TRANSIT', returning);
+  assert.equal(move.allowed, true);
+  assert.match(move.exception, /on its way back/);
+});
+
+test('Jira status aliases are judged as the status they stand for', () => {
+  config.JIRA_STATUS_ALIASES = { DELIVERED: ['Handed over'] };
+  try {
+    assert.equal(checkMove('Handed over', 'IN - TRANSIT', loadTracking('in-transit')).allowed, false);
+  } finally {
+    config.JIRA_STATUS_ALIASES = {};
+  }
+});
+
+test('an invalid lifecycle file is rejected with every problem listed', () => {
+  assert.throws(() => buildLifecycle({
+    version: 1,
+    statuses: ['A', 'B'],
+    terminal: ['B'],
+    transitions: { A: ['B', 'C'], B: ['A'] },
+    exceptions: [{ from: 'B', to: 'A', when: 'isFullMoon' }]
+  }, 'test'), (err) => {
+    assert.match(err.message, /^Invalid lifecycle in test:/);
+    assert.match(err.message, /transitions\["A"\]: unknown status "C"/);
+    assert.match(err.message, /transitions\["B"\]: "B" is terminal/);
+    assert.match(err.message, /exceptions\[0\]\.when: unknown predicate "isFullMoon"/);
+    return true;
+  });
+});
+
+test('run flags a regression for review once, holding back only the transition', async () => {
+  const shipment = loadShipment('in-transit');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: shipment.AWB } }],
+    shipments: { [shipment.AWB]: shipment }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.REPORT_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-report-')), 'report.json');
+  fs.rmSync(config.STATE_FILE, { force: true });
+  try {
+    await run();
+    const { fields } = stub.issue('OPS-2');
+    assert.equal(fields.status.name, 'OUT FOR DELIVERY');
+    assert.deepEqual(fields.labels, [config.LIFECYCLE_REVIEW_LABEL]);
+    assert.equal(fields[config.LATEST_PDD_FIELD], '2024-05-03');
+    assert.equal(JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8')).shipments[shipment.AWB].settled, false);
+    assert.equal(stub.comments.length, 1);
+    assert.match(stub.comments[0].body.content[0].content[0].text, /^\[Status review\] Delhivery reports .* maps to "IN - TRANSIT", but "OUT FOR DELIVERY" → "IN - TRANSIT" goes backwards/);
+
+    const report = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8'));
+    assert.deepEqual(report.issues.map(r => [r.outcome, r.from, r.to]), [['blocked', 'OUT FOR DELIVERY', 'IN - TRANSIT']]);
+
+    fs.rmSync(config.STATE_FILE, { force: true });
+    await run();
+    assert.equal(stub.comments.length, 1);
+  } finally {
+    config.REPORT_FILE = '';
+    await stub.close();
+  }
+});
+
+test('a multi-hop walk does not pass through a status the lifecycle forbids', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered },
+    transitions: { 'OUT FOR DELIVERY': ['IN - TRANSIT'], 'IN - TRANSIT': ['DELIVERED'] }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  const workflow = {};
+  createWorkflowGraph({ workflow }).learn('IN - TRANSIT', [{ to: { name: 'DELIVERED' } }]);
+  fs.writeFileSync(config.STATE_FILE, JSON.stringify({ version: 1, shipments: {}, workflow }));
+  try {
+    await run();
+    assert.equal(stub.issue('OPS-2').fields.status.name, 'OUT FOR DELIVERY');
+    assert.equal(stub.calls.filter(c => c.method === 'POST' && c.path.endsWith('/transitions')).length, 0);
+    assert.match(stub.comments[0].body.content[0].content[0].text, /^\[Note\] Intended status "DELIVERED"/);
+  } finally {
+    await stub.close();
+  }
+});
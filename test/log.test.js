@@ -0,0 +1,33 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../lib/config');
+
+// Captured before lib/log wraps the console, so grouped output lands here
+const lines = [];
+console.info = (...args) => lines.push(args.join(' '));
+const { withLogGroup } = require('../lib/log');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const worker = (key) => withLogGroup(async () => {
+  console.info(`${key} start`);
+  await tick();
+  console.info(`${key} end`);
+  return key;
+});
+
+test('each issue\'s lines come out together when issues run concurrently', async () => {
+  config.ISSUE_CONCURRENCY = 2;
+  lines.length = 0;
+  assert.deepEqual(await Promise.all([worker('OPS-1'), worker('OPS-2')]), ['OPS-1', 'OPS-2']);
+  assert.deepEqual(lines, ['OPS-1 start', 'OPS-1 end', 'OPS-2 start', 'OPS-2 end']);
+});
+
+test('a failing group still prints what it logged', async () => {
+  lines.length = 0;
+  await assert.rejects(withLogGroup(async () => {
+    console.info('before the crash');
+    throw new Error('boom');
+  }), /boom/);
+  assert.deepEqual(lines, ['before the crash']);
+});
@@ -0,0 +1,145 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { readNdrAction, NDR_PROPERTY } = require('../lib/ndr');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const NDR_FIELD = 'customfield_10500';
+const DATE_FIELD = 'customfield_10501';
+const ndr = loadShipment('ndr');
+
+const withFields = (fields) => ({ key: 'OPS-4', fields });
+const commentText = (c) => c.body.content[0].content.map(n => n.text || '\n').join('');
+
+test.before(() => {
+  config.NDR_ACTION_FIELD = NDR_FIELD;
+  config.NDR_RESCHEDULE_DATE_FIELD = DATE_FIELD;
+});
+test.after(() => {
+  config.NDR_ACTION_FIELD = '';
+  config.NDR_RESCHEDULE_DATE_FIELD = '';
+});
+
+test('readNdrAction maps the field to Delhivery acts', () => {
+  const now = new Date('2024-05-04T10:00:00');
+  assert.equal(readNdrAction(withFields({})), null);
+  assert.deepEqual(readNdrAction(withFields({ [NDR_FIELD]: { value: 'Reattempt' } }), now), { act: 'RE-ATTEMPT', deferredDate: null });
+  assert.deepEqual(readNdrAction(withFields({ [NDR_FIELD]: { value: 'Return to origin' } }), now), { act: 'RTO', deferredDate: null });
+  assert.deepEqual(
+    readNdrAction(withFields({ [NDR_FIELD]: { value: 'Reschedule' }, [DATE_FIELD]: '2024-05-06' }), now),
+    { act: 'DEFER_DLV', deferredDate: '2024-05-06' }
+  );
+  assert.match(readNdrAction(withFields({ [NDR_FIELD]: { value: 'Reschedule' } }), now).error, /needs a date/);
+  assert.match(readNdrAction(withFields({ [NDR_FIELD]: { value: 'Reschedule' }, [DATE_FIELD]: '2024-05-04' }), now).error, /not in the future/);
+  assert.match(readNdrAction(withFields({ [NDR_FIELD]: 'Call customer' }), now).error, /unknown NDR action/);
+});
+
+test('the chosen action is submitted once per NDR event and its outcome reported', async () => {
+  const stub = await startStubServer({
+    issues: [{
+      key: 'OPS-4',
+      fields: {
+        status: { name: 'IN - TRANSIT' },
+        [config.TRACKING_FIELD]: `https://www.delhivery.com/track/package/${ndr.AWB}`,
+        [NDR_FIELD]: { value: 'Reattempt' }
+      }
+    }],
+    shipments: { [ndr.AWB]: ndr }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  fs.rmSync(config.STATE_FILE, { force: true });
+
+  try {
+    await run();
+    assert.equal(stub.issue('OPS-4').fields.status.name, 'NDR');
+    assert.deepEqual(stub.ndrRequests.map(r => r.data), [[{ waybill: ndr.AWB, act: 'RE-ATTEMPT' }]]);
+    const record = stub.properties['OPS-4'][NDR_PROPERTY];
+    assert.equal(record.submissions[0].requestId, 'REQ-1');
+    assert.equal(record.submissions[0].event, `${ndr.Status.StatusDateTime}+05:30`);
+
+    await run(); // still pending, same NDR event: nothing re-sent
+    assert.equal(stub.ndrRequests.length, 1);
+
+    stub.uplStatus['REQ-1'] = { status: 'Success', result: [{ status: 'Success', remarks: 'Re-attempt scheduled' }] };
+    config.REPORT_FILE = `${config.STATE_FILE}.report.json`;
+    await run();
+    assert.equal(stub.ndrRequests.length, 1);
+
+    const texts = stub.comments.map(commentText);
+    assert.ok(texts.some(t => /^\[NDR\] Submitted RE-ATTEMPT .*request REQ-1/.test(t)));
+    assert.ok(texts.some(t => /^\[NDR\] Delhivery processed RE-ATTEMPT .*: Success — Re-attempt scheduled/.test(t)));
+    const report = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8'));
+    assert.equal(report.issues.find(r => r.key === 'OPS-4').ndr, 'RE-ATTEMPT:Success');
+
+    // A later scan of another kind is the same NDR event: nothing re-sent
+    const hubScan = { ...ndr.Scans[2].ScanDetail, ScanDateTime: '2024-05-04T07:30:00.000', StatusDateTime: '2024-05-04T07:30:00.000' };
+    stub.shipments[ndr.AWB] = {
+      ...ndr,
+      Status: { ...ndr.Status, StatusDateTime: '2024-05-04T07:30:00.000' },
+      Scans: [...ndr.Scans, { ScanDetail: hubScan }]
+    };
+    await run();
+    assert.equal(stub.ndrRequests.length, 1);
+
+    // A new NDR scan is a new event: the same choice goes out again
+    const ndrScan = { ...ndr.Scans[ndr.Scans.length - 1].ScanDetail, ScanDateTime: '2024-05-05T18:00:00.000', StatusDateTime: '2024-05-05T18:00:00.000' };
+    stub.shipments[ndr.AWB] = {
+      ...ndr,
+      Status: { ...ndr.Status, StatusDateTime: '2024-05-05T18:00:00.000' },
+      Scans: [...ndr.Scans, { ScanDetail: hubScan }, { ScanDetail: ndrScan }]
+    };
+    await run();
+    assert.equal(stub.ndrRequests.length, 2);
+  } finally {
+    config.REPORT_FILE = '';
+    await stub.close();
+  }
+});
+
+test('an action is never submitted twice when recording it fails', async () => {
+  const stub = await startStubServer({
+    issues: [{
+      key: 'OPS-4',
+      fields: {
+        status: { name: 'NDR' },
+        [config.TRACKING_FIELD]: `https://www.delhivery.com/track/package/${ndr.AWB}`,
+        [NDR_FIELD]: { value: 'Return to origin' }
+      }
+    }],
+    shipments: { [ndr.AWB]: ndr }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  fs.rmSync(config.STATE_FILE, { force: true });
+  const failRecordWrites = () => stub.fail({ method: 'PUT', path: /\/properties\/delhivery-sync\.ndrActions$/, status: 500, times: 100 });
+
+  try {
+    // The submission cannot be recorded up front: it is not sent
+    failRecordWrites();
+    await run();
+    assert.equal(stub.ndrRequests.length, 0);
+
+    // Recorded, sent, but the request id cannot be saved: the record still stops a resend
+    stub.failures.length = 0;
+    const push = stub.ndrRequests.push.bind(stub.ndrRequests);
+    stub.ndrRequests.push = (...requests) => {
+      failRecordWrites();
+      return push(...requests);
+    };
+    fs.rmSync(config.STATE_FILE, { force: true });
+    await run();
+    assert.equal(stub.ndrRequests.length, 1);
+    assert.equal(stub.properties['OPS-4'][NDR_PROPERTY].submissions[0].status, 'Submitting');
+
+    stub.failures.length = 0;
+    fs.rmSync(config.STATE_FILE, { force: true });
+    await run();
+    assert.equal(stub.ndrRequests.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
@@ -0,0 +1,175 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { NOTIFICATIONS_PROPERTY, quietUntil, checkNotifications, customerContact } = require('../lib/notify');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const PHONE = 'customfield_10600';
+const NAME = 'customfield_10602';
+
+const withNotifyConfig = async (overrides, fn) => {
+  const saved = { ...config };
+  Object.assign(config, overrides);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+const startOfdStub = () => {
+  const delivered = loadShipment('delivered');
+  return startStubServer({
+    issues: [{
+      key: 'OPS-2',
+      fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: delivered.AWB, [PHONE]: '+91 98765-43210', [NAME]: 'Asha' }
+    }],
+    shipments: { [delivered.AWB]: delivered }
+  });
+};
+
+test('quiet hours are read in BUSINESS_TZ and may span midnight', () => withNotifyConfig({ NOTIFY_QUIET_HOURS: '21:00-09:00' }, () => {
+  assert.equal(quietUntil(new Date('2024-05-01T16:00:00Z')), '2024-05-02T03:30:00.000Z'); // 21:30 IST
+  assert.equal(quietUntil(new Date('2024-05-01T02:00:00Z')), '2024-05-01T03:30:00.000Z'); // 07:30 IST
+  assert.equal(quietUntil(new Date('2024-05-01T04:00:00Z')), null);                       // 09:30 IST
+  config.NOTIFY_QUIET_HOURS = '';
+  assert.equal(quietUntil(new Date('2024-05-01T16:00:00Z')), null);
+}));
+
+test('the notification setup is checked up front, with every problem listed', () => withNotifyConfig({
+  NOTIFY_CHANNELS: ['webhook', 'sms'],
+  NOTIFY_QUIET_HOURS: '9pm-9am'
+}, () => {
+  assert.throws(() => checkNotifications(), (err) => {
+    assert.match(err.message, /^Invalid notification setup:/);
+    assert.match(err.message, /unknown channel "sms" \(one of webhook, email\)/);
+    assert.match(err.message, /webhook: NOTIFY_WEBHOOK_URL is not set/);
+    assert.match(err.message, /NOTIFY_QUIET_HOURS must look like "21:00-09:00"/);
+    return true;
+  });
+  config.NOTIFY_CHANNELS = [];
+  checkNotifications();
+}));
+
+test('recipient details come from the configured fields', () => withNotifyConfig({ NOTIFY_PHONE_FIELD: PHONE, NOTIFY_NAME_FIELD: NAME }, () => {
+  assert.deepEqual(customerContact({ fields: { [PHONE]: '+91 (98765) 43210', [NAME]: { displayName: 'Asha' } } }),
+    { phone: '+919876543210', email: null, name: 'Asha' });
+}));
+
+test('a milestone is messaged once through the gateway and recorded on the issue', async () => {
+  const stub = await startOfdStub();
+  await withNotifyConfig({
+    JIRA_DOMAIN: stub.url,
+    DELHIVERY_BASE_URL: stub.url,
+    NOTIFY_CHANNELS: ['webhook'],
+    NOTIFY_WEBHOOK_URL: `${stub.url}/hooks/notify`,
+    NOTIFY_WEBHOOK_TOKEN: 'gw-token',
+    NOTIFY_PHONE_FIELD: PHONE,
+    NOTIFY_NAME_FIELD: NAME
+  }, async () => {
+    try {
+      await run();
+      assert.equal(stub.webhooks.length, 1);
+      const [message] = stub.webhooks;
+      assert.equal(message.status, 'DELIVERED');
+      assert.deepEqual(message.to, { phone: '+919876543210', name: 'Asha' });
+      assert.match(message.text, /^Hi Asha, your order \(AWB 1234567890103\) was delivered on /);
+      const call = stub.calls.find(c => c.path === '/hooks/notify');
+      assert.equal(call.headers.authorization, 'Bearer gw-token');
+      assert.equal(call.headers['idempotency-key'], message.id);
+      assert.equal(stub.properties['OPS-2'][NOTIFICATIONS_PROPERTY].sent.length, 1);
+
+      // Same event again (issue moved back by hand, state file lost): not sent twice
+      stub.issue('OPS-2').fields.status = { name: 'OUT FOR DELIVERY' };
+      fs.rmSync(config.STATE_FILE, { force: true });
+      await run();
+      assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+      assert.equal(stub.webhooks.length, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+test('messages wait out quiet hours in the state store and go with the next run after them', async () => {
+  const stub = await startOfdStub();
+  fs.rmSync(config.STATE_FILE, { force: true });
+  await withNotifyConfig({
+    JIRA_DOMAIN: stub.url,
+    DELHIVERY_BASE_URL: stub.url,
+    NOTIFY_CHANNELS: ['webhook'],
+    NOTIFY_WEBHOOK_URL: `${stub.url}/hooks/notify`,
+    NOTIFY_PHONE_FIELD: PHONE,
+    NOTIFY_QUIET_HOURS: '00:00-23:59'
+  }, async () => {
+    try {
+      config.REPORT_FILE = `${config.STATE_FILE}.report.json`;
+      await run();
+      assert.equal(stub.webhooks.length, 0);
+      const held = JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8')).notifications['OPS-2'];
+      assert.deepEqual(held.map(m => [m.channel, m.status, m.to]), [['webhook', 'DELIVERED', '+919876543210']]);
+      const report = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8'));
+      assert.deepEqual(report.issues[0].notified, ['webhook:held']);
+
+      config.NOTIFY_QUIET_HOURS = '';
+      await run();
+      assert.equal(stub.webhooks.length, 1);
+      assert.deepEqual(JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8')).notifications, {});
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+test('a sent message whose record fails to save is reported sent, not held for a resend', async () => {
+  const stub = await startOfdStub();
+  fs.rmSync(config.STATE_FILE, { force: true });
+  stub.fail({ method: 'PUT', path: /\/properties\/delhivery-sync\.notifications$/, status: 500, times: 100 });
+  await withNotifyConfig({
+    JIRA_DOMAIN: stub.url,
+    DELHIVERY_BASE_URL: stub.url,
+    NOTIFY_CHANNELS: ['webhook'],
+    NOTIFY_WEBHOOK_URL: `${stub.url}/hooks/notify`,
+    NOTIFY_PHONE_FIELD: PHONE,
+    REPORT_FILE: `${config.STATE_FILE}.report.json`
+  }, async () => {
+    try {
+      await run();
+      assert.equal(stub.webhooks.length, 1);
+      assert.equal(stub.properties['OPS-2']?.[NOTIFICATIONS_PROPERTY], undefined);
+      assert.deepEqual(JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8')).issues[0].notified, ['webhook']);
+      assert.equal(JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8')).notifications?.['OPS-2'], undefined);
+
+      await run();
+      assert.equal(stub.webhooks.length, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+test('only transient send failures are held for the next run', async () => {
+  const stub = await startOfdStub();
+  fs.rmSync(config.STATE_FILE, { force: true });
+  stub.fail({ method: 'POST', path: /^\/hooks\/notify$/, status: 400 });
+  await withNotifyConfig({
+    JIRA_DOMAIN: stub.url,
+    DELHIVERY_BASE_URL: stub.url,
+    NOTIFY_CHANNELS: ['webhook'],
+    NOTIFY_WEBHOOK_URL: `${stub.url}/hooks/notify`,
+    NOTIFY_PHONE_FIELD: PHONE,
+    REPORT_FILE: `${config.STATE_FILE}.report.json`
+  }, async () => {
+    try {
+      await run();
+      assert.equal(stub.webhooks.length, 0);
+      assert.deepEqual(JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8')).issues[0].notified, ['webhook:failed']);
+      assert.equal(JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8')).notifications?.['OPS-2'], undefined);
+    } finally {
+      await stub.close();
+    }
+  });
+});
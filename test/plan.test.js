@@ -0,0 +1,74 @@
+const { loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../lib/config');
+const { buildDateUpdates, getLatestInstruction, getOFDWhen, planIssueChanges } = require('../lib/plan');
+
+const issueWith = (fields = {}) => ({ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' }, ...fields } });
+
+test('buildDateUpdates writes delivery dates only for the matching final status', () => {
+  const delivered = loadTracking('delivered');
+  assert.deepEqual(buildDateUpdates(issueWith(), delivered, 'DELIVERED'), {
+    [config.DISPATCH_DATE_FIELD]: '2024-04-30',
+    [config.DELIVERY_DATE_FIELD]: '2024-05-03'
+  });
+  assert.deepEqual(buildDateUpdates(issueWith(), delivered, 'IN - TRANSIT'), { [config.DISPATCH_DATE_FIELD]: '2024-04-30' });
+
+  const rto = loadTracking('rto-delivered');
+  assert.equal(buildDateUpdates(issueWith(), rto, 'RTO DELIVERED')[config.RTO_DELIVERED_DATE_FIELD], '2024-05-09');
+});
+
+test('buildDateUpdates skips values Jira already has', () => {
+  const issue = issueWith({ [config.DISPATCH_DATE_FIELD]: '2024-04-30', [config.DELIVERY_DATE_FIELD]: '2024-05-03' });
+  assert.deepEqual(buildDateUpdates(issue, loadTracking('delivered'), 'DELIVERED'), {});
+});
+
+test('getLatestInstruction prefers Status and falls back to the newest scan', () => {
+  assert.deepEqual(getLatestInstruction(loadTracking('ndr')), {
+    instruction: 'Not attempted',
+    when: '2024-05-03T19:02:11.000+05:30',
+    where: 'Delhi_Janakpuri_D (Delhi)',
+    code: 'EOD-74'
+  });
+
+  const t = loadTracking('in-transit');
+  t.status.instructions = '';
+  assert.equal(getLatestInstruction(t).instruction, 'Shipment received at facility');
+  assert.equal(getLatestInstruction({ status: {}, scans: [] }), null);
+});
+
+test('getOFDWhen finds the out-for-delivery scan time', () => {
+  const dispatched = loadTracking('dispatched');
+  assert.equal(getOFDWhen(dispatched, getLatestInstruction(dispatched)), '2024-05-03T08:15:40.000+05:30');
+  const ofd = loadTracking('out-for-delivery');
+  assert.equal(getOFDWhen(ofd, getLatestInstruction(ofd)), '2024-05-04T09:02:11.000+05:30');
+  const delivered = loadTracking('delivered');
+  assert.equal(getOFDWhen(delivered, getLatestInstruction(delivered)), '2024-05-03T08:15:40.000+05:30');
+});
+
+test('planIssueChanges fills write-once fields and leaves existing ones alone', () => {
+  const dispatched = loadTracking('dispatched');
+  const { customFields, comment } = planIssueChanges(issueWith(), dispatched, 'IN - TRANSIT');
+  assert.equal(customFields[config.PROMISED_DELIVERY_DATE_FIELD], '2024-05-03');
+  assert.equal(customFields[config.LATEST_PDD_FIELD], '2024-05-03');
+  assert.equal(customFields[config.OUT_FOR_DELIVERY_DATE_FIELD], '2024-05-03');
+  assert.equal(customFields[config.LATEST_INSTRUCTION_FIELD], 'Out for delivery');
+  assert.match(comment.text, /^Order is now in transit/);
+
+  const again = planIssueChanges(issueWith({
+    [config.PROMISED_DELIVERY_DATE_FIELD]: '2024-05-01',
+    [config.OUT_FOR_DELIVERY_DATE_FIELD]: '2024-05-02'
+  }), dispatched, 'IN - TRANSIT');
+  assert.equal(again.customFields[config.PROMISED_DELIVERY_DATE_FIELD], undefined);
+  assert.equal(again.customFields[config.OUT_FOR_DELIVERY_DATE_FIELD], undefined);
+});
+
+test('planIssueChanges writes RTO reason and date only when the final status is RTO', () => {
+  const rto = loadTracking('rto-in-transit');
+  const { customFields } = planIssueChanges(issueWith(), rto, 'RTO IN - TRANSIT');
+  assert.equal(customFields[config.RTO_REASON_FIELD], 'Whatsapp verified cancellation');
+  assert.equal(customFields[config.RTO_INITIATED_DATE_FIELD], '2024-05-03');
+
+  const forward = planIssueChanges(issueWith(), rto, 'IN - TRANSIT');
+  assert.equal(forward.customFields[config.RTO_REASON_FIELD], undefined);
+});
@@ -0,0 +1,102 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../lib/config');
+const { loadProfiles } = require('../lib/profiles');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const delivered = loadShipment('delivered');
+const inTransit = loadShipment('in-transit');
+const issue = (key, status, awb) => ({ key, fields: { status: { name: status }, [config.TRACKING_FIELD]: awb } });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poller-profiles-'));
+const writeProfiles = (doc) => {
+  const file = path.join(dir, `profiles-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(doc));
+  return file;
+};
+const saved = { ...config };
+
+test.afterEach(() => {
+  Object.assign(config, saved);
+  delete process.env.BX_DELHIVERY_TOKEN;
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('one run serves every profile with its own project, token, assignees, aliases, state and report', async () => {
+  const stub = await startStubServer({
+    issues: [issue('OPS-1', 'PICKUP SCHEDULED', inTransit.AWB), issue('BX-1', 'OUT FOR DELIVERY', delivered.AWB)],
+    shipments: { [inTransit.AWB]: inTransit, [delivered.AWB]: delivered },
+    transitions: { 'OUT FOR DELIVERY': ['Handed over'] }
+  });
+  process.env.BX_DELHIVERY_TOKEN = 'bx-token';
+  Object.assign(config, {
+    JIRA_DOMAIN: stub.url,
+    DELHIVERY_BASE_URL: stub.url,
+    STATE_FILE: path.join(dir, 'state.json'),
+    REPORT_FILE: path.join(dir, 'report.json'),
+    PROFILES_FILE: writeProfiles({
+      profiles: [
+        { name: 'instasport' },
+        {
+          name: 'brandx',
+          env: { JIRA_PROJECT: 'BX', DELHIVERY_TOKEN: '$BX_DELHIVERY_TOKEN' },
+          assignees: { DELIVERED: 'acct-bx-ops' },
+          statusAliases: { DELIVERED: ['Handed over'] }
+        },
+        { name: 'brandy', env: { JIRA_PROJECT: 'BY', DELHIVERY_TOKEN: '$BY_DELHIVERY_TOKEN' } }
+      ]
+    })
+  });
+
+  try {
+    const err = await run().then(() => assert.fail('expected the brandy profile to fail'), e => e);
+    assert.match(err.message, /1 of 3 profile\(s\) failed: brandy/);
+    assert.equal(err.summary.updated, 2);
+    assert.deepEqual(err.summary.profiles.instasport, { updated: 1, skipped: 0 });
+    assert.match(err.summary.profiles.brandy.error, /DELHIVERY_TOKEN refers to \$BY_DELHIVERY_TOKEN, which is not set/);
+
+    assert.equal(stub.issue('OPS-1').fields.status.name, 'IN - TRANSIT');
+    assert.equal(stub.issue('BX-1').fields.status.name, 'Handed over');
+    assert.equal(stub.issue('BX-1').fields.assignee.accountId, 'acct-bx-ops');
+
+    const tokens = stub.calls.filter(c => c.path === '/api/v1/packages/json/').map(c => [c.query.waybill, c.headers.authorization]);
+    assert.deepEqual(tokens, [[inTransit.AWB, `Token ${saved.DELHIVERY_TOKEN}`], [delivered.AWB, 'Token bx-token']]);
+
+    const report = (name) => JSON.parse(fs.readFileSync(path.join(dir, `report.${name}.json`), 'utf8'));
+    assert.deepEqual([report('instasport').project, report('instasport').profile], ['OPS', 'instasport']);
+    assert.deepEqual(report('brandx').issues.map(r => r.key), ['BX-1']);
+    assert.ok(fs.existsSync(path.join(dir, 'state.brandx.json')));
+
+    // Everything a profile changed is put back afterwards
+    assert.equal(config.JIRA_PROJECT, 'OPS');
+    assert.deepEqual(config.ASSIGNEE_RULES, {});
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a malformed profiles file is rejected with every problem listed', () => {
+  const file = writeProfiles({
+    profiles: [
+      { name: 'a b', env: { JIRA_PROJECT: 1 } },
+      { name: 'x', assignees: { DELIVERED: 5 }, colour: 'red' },
+      { name: 'x', statusAliases: { DELIVERED: 'Done' } }
+    ]
+  });
+  assert.throws(() => loadProfiles(file), (err) => {
+    assert.match(err.message, /^Invalid profiles in /);
+    assert.match(err.message, /profiles\[0\] \("a b"\): "name" must be letters/);
+    assert.match(err.message, /profiles\[0\] \("a b"\): "env" must map variable names to strings/);
+    assert.match(err.message, /profiles\[1\] \("x"\): unknown key "colour"/);
+    assert.match(err.message, /profiles\[1\] \("x"\): "assignees" must map/);
+    assert.match(err.message, /profiles\[2\] \("x"\): duplicate name/);
+    assert.match(err.message, /profiles\[2\] \("x"\): "statusAliases" must map/);
+    return true;
+  });
+  assert.deepEqual(loadProfiles(''), [{ name: 'default', implicit: true }]);
+});
@@ -0,0 +1,76 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const REPLAY = path.join(__dirname, '..', 'replay.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'shipments');
+const EXPECTED = path.join(__dirname, 'fixtures', 'expected-statuses.json');
+
+// Runs replay.js in a child process (it exits with its verdict); resolves to { code, out }
+const replayFrom = (cwd, ...args) => {
+  const res = spawnSync(process.execPath, [REPLAY, FIXTURES, ...args], { cwd, encoding: 'utf8', timeout: 30000 });
+  return { code: res.status, out: res.stdout + res.stderr };
+};
+const replay = (...args) => replayFrom(undefined, ...args);
+
+const tmpFile = (name, doc) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-replay-')), name);
+  fs.writeFileSync(file, JSON.stringify(doc));
+  return file;
+};
+
+test('the fixtures replay to their expected statuses', () => {
+  const { code, out } = replay('--expected', EXPECTED, '--fail-on-change');
+  assert.equal(code, 0, out);
+  assert.match(out, /\n0 of 10 AWB\(s\) changed/);
+});
+
+test('a changed status is listed and fails the replay with --fail-on-change', () => {
+  const expected = { ...JSON.parse(fs.readFileSync(EXPECTED, 'utf8')), 1234567890109: 'IN - TRANSIT' };
+  delete expected['1234567890108'];
+  const file = tmpFile('expected.json', expected);
+
+  const { code, out } = replay('--expected', file, '--fail-on-change');
+  assert.equal(code, 1, out);
+  assert.match(out, /\n1 of 9 AWB\(s\) changed \(1 not in baseline\)/);
+  assert.match(out, /1234567890109: IN - TRANSIT \[-\] → OUT FOR DELIVERY \[status-map\]/);
+
+  assert.equal(replay('--expected', file).code, 0);
+});
+
+test('a baseline rules file is compared rule by rule', () => {
+  const doc = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'status-rules.json'), 'utf8'));
+  doc.rules = doc.rules.filter(r => r.id !== 'terminal-rto');
+  const { code, out } = replay('--baseline', tmpFile('rules.json', doc), '--fail-on-change');
+  assert.equal(code, 1, out);
+  assert.match(out, /1234567890106: DELIVERED \[delivered-status-type\] → RTO DELIVERED \[terminal-rto\]/);
+});
+
+test('--baseline-ref reads the rules file at a git ref, from any directory', () => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'poller-replay-repo-'));
+  const git = (...args) => spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, encoding: 'utf8' });
+  const rules = path.join(repo, 'config', 'status-rules.json');
+  const doc = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'status-rules.json'), 'utf8'));
+  fs.mkdirSync(path.dirname(rules));
+  fs.writeFileSync(rules, JSON.stringify(doc));
+  git('init', '-q');
+  git('add', '-A');
+  assert.equal(git('commit', '-qm', 'rules').status, 0);
+
+  doc.rules = doc.rules.filter(r => r.id !== 'terminal-rto');
+  fs.writeFileSync(rules, JSON.stringify(doc));
+  const { code, out } = replayFrom(os.tmpdir(), '--rules', rules, '--baseline-ref', 'HEAD', '--fail-on-change');
+  assert.equal(code, 1, out);
+  assert.match(out, /Baseline: rules HEAD:config\/status-rules\.json/);
+  assert.match(out, /1234567890106: RTO DELIVERED \[terminal-rto\] → DELIVERED \[delivered-status-type\]/);
+});
+
+test('bad arguments exit with the usage', () => {
+  const { code, out } = replay('--expected', EXPECTED, '--baseline', EXPECTED);
+  assert.equal(code, 2);
+  assert.match(out, /^Usage: node replay\.js/m);
+});
@@ -0,0 +1,110 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadRules, buildRuleset, evaluateRules } = require('../lib/rules');
+
+const RULES_FILE = path.join(__dirname, '..', 'config', 'status-rules.json');
+const baseDoc = () => JSON.parse(JSON.stringify(require(RULES_FILE)));
+
+test('the shipped rules file loads without warnings', () => {
+  const ruleset = loadRules(RULES_FILE);
+  assert.ok(ruleset.rules.length > 0);
+  assert.deepEqual(ruleset.warnings, []);
+});
+
+test('validation collects every problem in one report', () => {
+  const doc = baseDoc();
+  doc.rules.push(
+    { id: 'terminal-rto', priority: 1, match: 'predicate', pattern: 'hasTerminalRTO', status: 'RTO DELIVERED' },
+    { id: 'bad-regex', priority: 1, field: 'status.text', match: 'regex', pattern: '(', status: 'NDR' },
+    { id: 'bad-match', priority: 1, field: 'status.text', match: 'glob', pattern: '*', status: 'NDR' },
+    { id: 'bad-predicate', priority: 1, match: 'predicate', pattern: 'nope', status: 'NDR' },
+    { id: 'no-status', priority: 'high', field: 'status.text', match: 'present' }
+  );
+  assert.throws(() => buildRuleset(doc), (err) => {
+    assert.match(err.message, /duplicate id "terminal-rto"/);
+    assert.match(err.message, /bad-regex.*invalid regex/);
+    assert.match(err.message, /bad-match.*"match" must be one of/);
+    assert.match(err.message, /unknown predicate "nope"/);
+    assert.match(err.message, /no-status.*"priority" must be a number/);
+    assert.match(err.message, /no-status.*"status" is required/);
+    return true;
+  });
+});
+
+test('unsupported schema versions are rejected', () => {
+  assert.throws(() => buildRuleset({ ...baseDoc(), version: 3 }), /"version" must be 2 or 1/);
+});
+
+test('version 1 files are upgraded onto the shipment model', () => {
+  const v1 = {
+    version: 1,
+    revision: 'v1',
+    rules: [
+      { id: 'type-dl', priority: 10, field: ['Status.StatusType', 'Status.ScanType'], match: 'regex', pattern: '^DL$', status: 'DELIVERED' },
+      { id: 'reverse', priority: 20, field: 'ReverseInTransit', match: 'present', status: 'RTO IN - TRANSIT' }
+    ],
+    statusMap: { Manifested: 'PICKUP SCHEDULED' },
+    verifiedCancellationPhrases: ['verified cancellation']
+  };
+  const ruleset = buildRuleset(v1);
+  assert.equal(ruleset.upgradedFrom, 1);
+  assert.equal(ruleset.rules[0].field, 'status.type');
+  assert.equal(evaluateRules(ruleset, { carrier: 'delhivery', status: { type: 'DL' } }).rule.id, 'type-dl');
+  assert.equal(evaluateRules(ruleset, { carrier: 'delhivery', status: {}, returnFlow: true }).rule.id, 'reverse');
+  assert.equal(evaluateRules(ruleset, { carrier: 'delhivery', status: { text: 'Manifested' } }).status, 'PICKUP SCHEDULED');
+  assert.equal(evaluateRules(ruleset, { carrier: 'other', status: { text: 'Manifested' } }).status, null);
+});
+
+test('rules scoped with "carriers" only apply to those carriers', () => {
+  const doc = baseDoc();
+  doc.rules.push({ id: 'acme-held', priority: 1, carriers: ['acme'], field: 'status.text', match: 'regex', pattern: '^held$', status: 'NDR' });
+  const ruleset = buildRuleset(doc);
+  assert.equal(evaluateRules(ruleset, { carrier: 'acme', status: { text: 'Held' } }).rule.id, 'acme-held');
+  assert.equal(evaluateRules(ruleset, { carrier: 'delhivery', status: { text: 'Held' } }).status, null);
+  assert.throws(() => buildRuleset({ ...doc, rules: [...doc.rules, { ...doc.rules.at(-1), id: 'x', carriers: 'acme' }] }), /"carriers" must be a list/);
+});
+
+test('reports rules that can never fire', () => {
+  const doc = baseDoc();
+  doc.rules.push(
+    { id: 'dup-rto', priority: 60, field: 'status.instructions', match: 'substring', pattern: 'dispatched for rto', status: 'RTO IN - TRANSIT' },
+    { id: 'never-ndr', priority: 60, field: 'status.instructions', match: 'substring', pattern: 'vehicle departed late', status: 'NDR' }
+  );
+  const { warnings } = buildRuleset(doc);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /"dup-rto" is unreachable: "return-instruction"/);
+  assert.match(warnings[1], /"never-ndr" \(→ NDR\) is shadowed by "fwd-vehicle-departed"/);
+});
+
+test('priority decides order regardless of position in the file', () => {
+  const doc = baseDoc();
+  doc.rules.push({ id: 'early-ndr', priority: 1, field: 'status.instructions', match: 'regex', pattern: '^consignee unavailable$', status: 'NDR' });
+  const ruleset = buildRuleset(doc);
+  const { status, rule } = evaluateRules(ruleset, { carrier: 'delhivery', status: { instructions: 'Consignee unavailable' } });
+  assert.equal(status, 'NDR');
+  assert.equal(rule.id, 'early-ndr');
+});
+
+test('decisions carry the matched evidence and a confidence', () => {
+  const doc = baseDoc();
+  doc.rules.push({ id: 'held', priority: 60, field: 'status.text', match: 'substring', pattern: 'held', status: 'NDR', confidence: 'high' });
+  const ruleset = buildRuleset(doc);
+  const decide = (t) => evaluateRules(ruleset, { carrier: 'delhivery', status: {}, dates: {}, ...t }).decision;
+
+  assert.deepEqual(decide({ dates: { delivered: '2024-05-03T14:10:00' } }), {
+    status: 'DELIVERED', ruleId: 'delivered-date', matched: { field: 'dates.delivered', text: '2024-05-03T14:10:00' },
+    confidence: 'high', rulesRevision: ruleset.revision
+  });
+  const rtScan = { at: '2024-05-02T09:00:00', text: 'In Transit', location: 'Pune_Hub', leg: 'return' };
+  assert.deepEqual(decide({ scans: [rtScan] }).matched, { scan: { at: rtScan.at, text: 'In Transit', location: 'Pune_Hub', instructions: null } });
+  assert.equal(decide({ status: { instructions: 'Consignee unavailable' } }).confidence, 'low');
+  assert.equal(decide({ status: { text: 'Held at hub' } }).confidence, 'high');
+  assert.deepEqual(decide({ status: { text: 'Manifested' } }),
+    { status: 'PICKUP SCHEDULED', ruleId: 'status-map', matched: { field: 'status.text', text: 'Manifested' }, confidence: 'low', rulesRevision: ruleset.revision });
+  assert.equal(decide({ status: { text: 'Lost in space' } }), null);
+
+  doc.rules.at(-1).confidence = 'certain';
+  assert.throws(() => buildRuleset(doc), /held.*"confidence" must be one of high, medium, low/);
+});
@@ -0,0 +1,53 @@
+const { loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../lib/config');
+const { detectSlaBreaches } = require('../lib/sla');
+
+const issue = (fields = {}) => ({ key: 'OPS-1', fields });
+const shipment = (overrides = {}) => loadTracking('in-transit', overrides);
+const flags = (...args) => detectSlaBreaches(...args).map(b => b.label);
+
+test.beforeEach(() => {
+  config.SLA_CHECKS = true;
+  config.SLA_PDD_SLIP_DAYS = 2;
+  config.SLA_STALE_SCAN_HOURS = 48;
+});
+test.after(() => { config.SLA_CHECKS = false; });
+
+const lastScan = (t) => t.scans[t.scans.length - 1].at;
+
+test('an on-time shipment with fresh scans is not flagged', () => {
+  const t = shipment({ PromisedDeliveryDate: '2024-05-04', ExpectedDeliveryDate: '2024-05-04' });
+  const now = new Date(new Date(lastScan(t)).getTime() + 3600e3);
+  assert.deepEqual(flags(issue(), t, 'IN - TRANSIT', now), []);
+});
+
+test('a passed Latest PDD flags pdd-breached until delivery or RTO', () => {
+  const t = shipment({ PromisedDeliveryDate: '2024-04-30', ExpectedDeliveryDate: '2024-04-30' });
+  const now = new Date(new Date(lastScan(t)).getTime() + 3600e3);
+  assert.deepEqual(flags(issue(), t, 'IN - TRANSIT', now), ['sla-pdd-breached']);
+  assert.deepEqual(flags(issue(), t, 'DELIVERED', now), []);
+  assert.deepEqual(flags(issue(), t, 'RTO IN - TRANSIT', now), []);
+});
+
+test('pdd-slipped compares the Latest PDD with the original promise held in Jira', () => {
+  const t = shipment({ PromisedDeliveryDate: '2099-01-10', ExpectedDeliveryDate: '2099-01-10' });
+  const now = new Date(lastScan(t));
+  assert.deepEqual(flags(issue({ [config.PROMISED_DELIVERY_DATE_FIELD]: '2099-01-08' }), t, 'IN - TRANSIT', now), []);
+  assert.deepEqual(flags(issue({ [config.PROMISED_DELIVERY_DATE_FIELD]: '2099-01-07' }), t, 'IN - TRANSIT', now), ['sla-pdd-slipped']);
+});
+
+test('stale-scan fires after SLA_STALE_SCAN_HOURS without a scan', () => {
+  const t = shipment({ PromisedDeliveryDate: '2099-01-10' });
+  const at = (h) => new Date(new Date(lastScan(t)).getTime() + h * 3600e3);
+  assert.deepEqual(flags(issue(), t, 'IN - TRANSIT', at(47)), []);
+  const [breach] = detectSlaBreaches(issue(), t, 'IN - TRANSIT', at(49));
+  assert.equal(breach.label, 'sla-stale-scan');
+  assert.match(breach.message, /No new scan for 49h/);
+});
+
+test('SLA_CHECKS=0 disables every check', () => {
+  config.SLA_CHECKS = false;
+  assert.deepEqual(flags(issue(), shipment({ ExpectedDeliveryDate: '2000-01-01' }), 'IN - TRANSIT'), []);
+});
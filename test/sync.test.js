@@ -0,0 +1,265 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../lib/config');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const issue = (key, status, awb) => ({
+  key,
+  fields: { status: { name: status }, [config.TRACKING_FIELD]: `https://www.delhivery.com/track/package/${awb}` }
+});
+
+const shipments = Object.fromEntries(
+  ['in-transit', 'delivered', 'rto-in-transit', 'ndr'].map(name => {
+    const s = loadShipment(name);
+    return [s.AWB, s];
+  })
+);
+
+let stub;
+
+test.beforeEach(async () => {
+  stub = await startStubServer({
+    issues: [
+      issue('OPS-1', 'PICKUP SCHEDULED', '1234567890101'),
+      issue('OPS-2', 'OUT FOR DELIVERY', '1234567890103'),
+      issue('OPS-3', 'IN - TRANSIT', '1234567890105'),
+      issue('OPS-4', 'IN - TRANSIT', '1234567890104'),
+      issue('OPS-5', 'IN - TRANSIT', '9999999999'),
+      { key: 'OPS-6', fields: { status: { name: 'IN - TRANSIT' }, [config.TRACKING_FIELD]: 'no awb here' } }
+    ],
+    shipments
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.DRY_RUN = false;
+  config.REPORT_FILE = '';
+  config.REPORT_WEBHOOK_URL = '';
+  fs.rmSync(config.STATE_FILE, { force: true });
+});
+
+test.afterEach(() => stub.close());
+
+test('run syncs statuses, fields and comments end to end', async () => {
+  const summary = await run();
+  assert.deepEqual(summary, { updated: 4, skipped: 0 });
+
+  assert.equal(stub.issue('OPS-1').fields.status.name, 'IN - TRANSIT');
+  assert.equal(stub.issue('OPS-1').fields[config.DISPATCH_DATE_FIELD], '2024-04-30');
+
+  const delivered = stub.issue('OPS-2').fields;
+  assert.equal(delivered.status.name, 'DELIVERED');
+  assert.equal(delivered[config.DELIVERY_DATE_FIELD], '2024-05-03');
+  assert.equal(delivered.assignee.accountId, config.POST_DELIVERY_ASSIGNEE);
+
+  const rto = stub.issue('OPS-3').fields;
+  assert.equal(rto.status.name, 'RTO IN - TRANSIT');
+  assert.equal(rto[config.RTO_REASON_FIELD], 'Whatsapp verified cancellation');
+
+  assert.equal(stub.issue('OPS-4').fields.status.name, 'NDR');
+  assert.equal(stub.issue('OPS-5').fields.status.name, 'IN - TRANSIT');
+  assert.deepEqual(stub.comments.map(c => c.issueKey).sort(), ['OPS-1', 'OPS-2', 'OPS-3', 'OPS-4']);
+
+  // One batched Delhivery call, then a single-AWB retry for the unknown waybill
+  const lookups = stub.calls.filter(c => c.path === '/api/v1/packages/json/').map(c => c.query.waybill);
+  assert.equal(lookups[0].split(',').length, 5);
+  assert.ok(lookups.slice(1).every(w => w === '9999999999'));
+});
+
+test('a second run skips shipments whose tracking has not changed', async () => {
+  await run();
+  await run(); // confirms the transitions landed; everything is now settled
+  const writesBefore = stub.writes().length;
+
+  const summary = await run();
+  assert.deepEqual(summary, { updated: 0, skipped: 4 });
+  assert.equal(stub.writes().length, writesBefore);
+});
+
+test('dry-run plans changes without any Jira writes', async () => {
+  config.DRY_RUN = true;
+  const summary = await run();
+  assert.deepEqual(summary, { updated: 4, skipped: 0 });
+  assert.deepEqual(stub.writes(), []);
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'OUT FOR DELIVERY');
+  assert.equal(fs.existsSync(config.STATE_FILE), false);
+});
+
+test('a transition missing from the workflow falls back to a fields-only update', async () => {
+  await stub.close();
+  stub = await startStubServer({
+    issues: [issue('OPS-2', 'PICKUP SCHEDULED', '1234567890103')],
+    shipments,
+    transitions: { 'PICKUP SCHEDULED': ['IN - TRANSIT'] }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+
+  await run();
+  const { fields } = stub.issue('OPS-2');
+  assert.equal(fields.status.name, 'PICKUP SCHEDULED');
+  assert.equal(fields[config.DELIVERY_DATE_FIELD], '2024-05-03');
+  assert.match(stub.comments[0].body.content[0].content[0].text, /^\[Note\] Intended status "DELIVERED"/);
+});
+
+test('a Jira 429 mid-run is retried and the transition still lands', async () => {
+  stub.fail({ method: 'POST', path: /OPS-2\/transitions$/, status: 429, headers: { 'Retry-After': '0' } });
+  stub.fail({ method: 'GET', path: /OPS-3\/transitions$/, status: 503 });
+
+  await run();
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+  assert.equal(stub.issue('OPS-3').fields.status.name, 'RTO IN - TRANSIT');
+  assert.equal(stub.comments.filter(c => c.issueKey === 'OPS-2').length, 1);
+});
+
+test('a transition that got a 5xx is not re-posted; the next run picks it up', async () => {
+  stub.fail({ method: 'POST', path: /OPS-2\/transitions$/, status: 503 });
+
+  await run();
+  const posts = () => stub.calls.filter(c => c.method === 'POST' && c.path.endsWith('OPS-2/transitions'));
+  assert.equal(posts().length, 1);
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'OUT FOR DELIVERY');
+
+  await run();
+  assert.equal(posts().length, 2);
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+});
+
+test('concurrent workers keep counts right when some issues fail', async () => {
+  config.ISSUE_CONCURRENCY = 3;
+  stub.fail({ method: 'GET', path: /OPS-3\/transitions$/, status: 500, times: 10 });
+  const errors = [];
+  const { error } = console;
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    assert.deepEqual(await run(), { updated: 3, skipped: 0 });
+  } finally {
+    console.error = error;
+    config.ISSUE_CONCURRENCY = 4;
+  }
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+  assert.equal(stub.issue('OPS-4').fields.status.name, 'NDR');
+  assert.equal(stub.issue('OPS-3').fields.status.name, 'IN - TRANSIT');
+  assert.ok(errors.some(line => line.includes('OPS-3')));
+});
+
+test('the run report records every outcome and the webhook highlights problems', async () => {
+  const unknown = { AWB: '1234567890199', Status: { Status: 'Lost in space' }, Scans: [] };
+  stub.shipments[unknown.AWB] = unknown;
+  stub.issues.set('OPS-7', issue('OPS-7', 'IN - TRANSIT', unknown.AWB));
+  stub.fail({ method: 'PUT', path: /OPS-2$/, status: 400, body: { errors: { [config.DELIVERY_DATE_FIELD]: 'Field cannot be set' } } });
+
+  config.REPORT_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-report-')), 'report.json');
+  config.REPORT_WEBHOOK_URL = `${stub.url}/hooks/run-report`;
+  await run();
+
+  const report = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8'));
+  assert.equal(report.error, null);
+  assert.ok(report.finishedAt);
+  const byKey = Object.fromEntries(report.issues.map(r => [r.key, r]));
+  assert.equal(byKey['OPS-1'].outcome, 'updated');
+  assert.equal(byKey['OPS-1'].to, 'IN - TRANSIT');
+  assert.ok(byKey['OPS-1'].fields.includes(config.DISPATCH_DATE_FIELD));
+  assert.equal(byKey['OPS-2'].outcome, 'failed');
+  assert.match(byKey['OPS-2'].error, /^HTTP 400: .*Field cannot be set/);
+  assert.equal(byKey['OPS-5'].outcome, 'no-tracking');
+  assert.equal(byKey['OPS-6'].outcome, 'no-awb');
+  assert.equal(byKey['OPS-7'].outcome, 'unknown-status');
+  assert.equal(report.counts.updated, 3);
+
+  assert.equal(stub.webhooks.length, 1);
+  const { text, problems } = stub.webhooks[0];
+  assert.match(text, /3 updated/);
+  assert.match(text, /Unknown statuses \(1\)\*\n• OPS-7 \(awb 1234567890199\): Delhivery status "Lost in space"/);
+  assert.match(text, /Failed updates \(1\)\*\n• OPS-2 .*HTTP 400/);
+  assert.deepEqual(problems.map(p => p.key).sort(), ['OPS-2', 'OPS-5', 'OPS-7']);
+});
+
+test('an aborted run still writes its report', async () => {
+  stub.fail({ method: 'POST', path: /search/, status: 400, times: 10 });
+  config.REPORT_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-report-')), 'report.json');
+
+  await assert.rejects(run());
+  const report = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8'));
+  assert.match(report.error, /^HTTP 400/);
+  assert.deepEqual(report.issues, []);
+});
+
+test('SLA breaches are labelled and commented once, not on every run', async () => {
+  config.SLA_CHECKS = true;
+  try {
+    await run();
+    await run();
+    await run();
+  } finally {
+    config.SLA_CHECKS = false;
+  }
+
+  // Fixture scans are from 2024: every open forward shipment is overdue and stale
+  assert.deepEqual(stub.issue('OPS-1').fields.labels.sort(), ['sla-pdd-breached', 'sla-stale-scan']);
+  assert.equal(stub.issue('OPS-2').fields.labels, undefined);
+  assert.equal(stub.issue('OPS-3').fields.labels, undefined);
+  const alerts = stub.comments.filter(c => /^\[SLA alert\]/.test(c.body.content[0].content[0].text));
+  assert.deepEqual(alerts.map(c => c.issueKey).sort(), ['OPS-1', 'OPS-4']);
+  assert.equal(alerts[0].body.content[0].content[1].type, 'hardBreak');
+});
+
+test('the stale sweep re-checks old open issues and marks the ones without tracking', async () => {
+  await stub.close();
+  const old = (key, status, awb, extra = {}) => {
+    const i = issue(key, status, awb);
+    Object.assign(i.fields, { created: '2024-01-15T10:00:00.000+0530' }, extra);
+    return i;
+  };
+  stub = await startStubServer({
+    issues: [
+      old('OPS-10', 'IN - TRANSIT', '1234567890103'),                              // delivered long ago
+      old('OPS-11', 'IN - TRANSIT', '9999999999'),                                 // carrier has nothing
+      old('OPS-12', 'IN - TRANSIT', '8888888888', { labels: ['tracking-expired'] }), // expired by an earlier sweep
+      old('OPS-13', 'DELIVERED', '1234567890103'),
+      issue('OPS-14', 'PICKUP SCHEDULED', '1234567890101')                         // inside the window
+    ],
+    shipments
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.REPORT_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-report-')), 'report.json');
+
+  await run({ sweep: true });
+  assert.equal(stub.issue('OPS-10').fields.status.name, 'DELIVERED');
+  assert.deepEqual(stub.issue('OPS-11').fields.labels, ['tracking-expired']);
+  const expired = stub.comments.filter(c => c.issueKey === 'OPS-11');
+  assert.equal(expired.length, 1);
+  assert.match(expired[0].body.content[0].content[0].text, /^\[Tracking expired\] Delhivery no longer returns tracking for AWB 9999999999/);
+  assert.equal(stub.issue('OPS-14').fields.status.name, 'PICKUP SCHEDULED');
+
+  const report = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8'));
+  assert.equal(report.mode, 'sweep');
+  assert.deepEqual(report.issues.map(r => `${r.key}:${r.outcome}`).sort(), ['OPS-10:updated', 'OPS-11:expired']);
+
+  // Labelled issues drop out of the next sweep
+  await run({ sweep: true });
+  assert.equal(stub.comments.filter(c => c.issueKey === 'OPS-11').length, 1);
+});
+
+test('a Delhivery outage during the sweep expires nothing', async () => {
+  await stub.close();
+  const old = issue('OPS-11', 'IN - TRANSIT', '9999999999');
+  old.fields.created = '2024-01-15T10:00:00.000+0530';
+  stub = await startStubServer({ issues: [old], shipments });
+  stub.fail({ method: 'GET', path: /\/api\/v1\/packages/, status: 500, times: 100 });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.REPORT_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poller-report-')), 'report.json');
+
+  await run({ sweep: true });
+  assert.equal(stub.issue('OPS-11').fields.labels, undefined);
+  assert.deepEqual(stub.comments, []);
+  const [row] = JSON.parse(fs.readFileSync(config.REPORT_FILE, 'utf8')).issues;
+  assert.equal(row.outcome, 'failed');
+  assert.match(row.error, /^tracking lookup failed: /);
+});
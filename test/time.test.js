@@ -0,0 +1,62 @@
+const { loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../lib/config');
+const { withOffset, toYmd, toJiraDateTime, businessToday, sameJiraDate } = require('../lib/time');
+const { buildDateUpdates } = require('../lib/plan');
+const { checkDatetimeFields } = require('../lib/fields');
+const { startStubServer } = require('./helpers/stub-server');
+
+const issueWith = (fields = {}) => ({ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' }, ...fields } });
+
+test.afterEach(() => {
+  config.BUSINESS_TZ = 'Asia/Kolkata';
+  config.DATETIME_FIELDS = [];
+});
+
+test('calendar days are taken in BUSINESS_TZ, not the runner zone', () => {
+  // 23:30 IST is still the same day in India, but the previous evening in UTC
+  assert.equal(toYmd('2024-05-03T18:00:00.000Z'), '2024-05-03');
+  assert.equal(toYmd('2024-05-03T19:00:00.000Z'), '2024-05-04');
+  assert.equal(toYmd(withOffset('2024-05-04T00:30:00.000', 'Asia/Kolkata')), '2024-05-04');
+  assert.equal(toYmd('2024-05-03'), '2024-05-03');
+  assert.equal(businessToday(new Date('2024-05-03T20:00:00Z')), '2024-05-04');
+
+  config.BUSINESS_TZ = 'UTC';
+  assert.equal(toYmd(withOffset('2024-05-04T00:30:00.000', 'Asia/Kolkata')), '2024-05-03');
+});
+
+test('a late-evening IST delivery keeps its day in Jira', () => {
+  const t = loadTracking('delivered', { DeliveryDate: '2024-05-03T23:40:00.000' });
+  assert.equal(buildDateUpdates(issueWith(), t, 'DELIVERED')[config.DELIVERY_DATE_FIELD], '2024-05-03');
+});
+
+test('DATETIME_FIELDS get the full timestamp and compare as instants', () => {
+  config.DATETIME_FIELDS = [config.DELIVERY_DATE_FIELD];
+  const t = loadTracking('delivered');
+  const out = buildDateUpdates(issueWith(), t, 'DELIVERED');
+  assert.equal(out[config.DELIVERY_DATE_FIELD], '2024-05-03T21:47:02.000+0530');
+  assert.equal(out[config.DISPATCH_DATE_FIELD], '2024-04-30');
+
+  // Jira may return the same instant in another zone: no rewrite
+  const again = buildDateUpdates(issueWith({ [config.DELIVERY_DATE_FIELD]: '2024-05-03T16:17:02.000+0000' }), t, 'DELIVERED');
+  assert.equal(again[config.DELIVERY_DATE_FIELD], undefined);
+  assert.equal(sameJiraDate(config.DELIVERY_DATE_FIELD, '2024-05-03', toJiraDateTime('2024-05-03')), false);
+});
+
+test('DATETIME_FIELDS that Jira says are date pickers fall back to dates', async () => {
+  const stub = await startStubServer({
+    fields: [
+      { id: 'customfield_10102', name: 'Delivery Date', schema: { type: 'datetime' } },
+      { id: 'customfield_10101', name: 'Dispatch Date', schema: { type: 'date' } }
+    ]
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DATETIME_FIELDS = ['customfield_10102', 'customfield_10101', 'customfield_404'];
+  try {
+    await checkDatetimeFields();
+    assert.deepEqual(config.DATETIME_FIELDS, ['customfield_10102']);
+  } finally {
+    await stub.close();
+  }
+});
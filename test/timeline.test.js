@@ -0,0 +1,99 @@
+const { loadTracking } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../lib/config');
+const { buildTimelineRows, renderTimelineADF, syncScanTimeline, TIMELINE_PROPERTY } = require('../lib/timeline');
+const { startStubServer } = require('./helpers/stub-server');
+
+const cellText = (row, i) => row.content[i].content[0].content[0]?.text;
+
+test('rows are every scan, oldest first', () => {
+  const t = loadTracking('rto-in-transit');
+  const rows = buildTimelineRows({ ...t, scans: [...t.scans].reverse() });
+  assert.equal(rows.length, t.scans.length);
+  assert.deepEqual(rows.map(r => r.when), [...rows.map(r => r.when)].sort((a, b) => new Date(a) - new Date(b)));
+  assert.equal(rows[0].location, t.scans[0].location);
+});
+
+test('renders an ADF table with a header row and one row per scan', () => {
+  const t = loadTracking('in-transit');
+  const doc = renderTimelineADF(t.awb, buildTimelineRows(t));
+  const table = doc.content.find(n => n.type === 'table');
+  assert.equal(table.content.length, t.scans.length + 1);
+  assert.equal(table.content[0].content[0].type, 'tableHeader');
+  assert.equal(cellText(table.content[0], 3), 'Instructions');
+  assert.equal(cellText(table.content[1], 1), t.scans[0].location);
+});
+
+test('keeps one comment per issue and edits it when new scans arrive', async () => {
+  const t = loadTracking('in-transit');
+  const stub = await startStubServer({ issues: [{ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' } } }] });
+  config.JIRA_DOMAIN = stub.url;
+  config.SCAN_TIMELINE_MODE = 'comment';
+  try {
+    const first = { ...t, scans: t.scans.slice(0, 2) };
+    assert.equal(await syncScanTimeline('OPS-1', t.awb, first), 'created');
+    assert.equal(await syncScanTimeline('OPS-1', t.awb, first), 'unchanged');
+    assert.equal(await syncScanTimeline('OPS-1', t.awb, t), 'updated');
+
+    assert.equal(stub.comments.length, 1);
+    const table = stub.comments[0].body.content.find(n => n.type === 'table');
+    assert.equal(table.content.length, t.scans.length + 1);
+    assert.equal(stub.properties['OPS-1'][TIMELINE_PROPERTY].commentId, stub.comments[0].id);
+
+    // A deleted timeline comment is recreated rather than failing every run
+    stub.comments.length = 0;
+    assert.equal(await syncScanTimeline('OPS-1', t.awb, { ...t, scans: t.scans.slice(0, 1) }), 'created');
+    assert.equal(stub.comments.length, 1);
+  } finally {
+    config.SCAN_TIMELINE_MODE = 'off';
+    await stub.close();
+  }
+});
+
+test('field mode writes the table to SCAN_TIMELINE_FIELD instead of commenting', async () => {
+  const t = loadTracking('in-transit');
+  const stub = await startStubServer({ issues: [{ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' } } }] });
+  config.JIRA_DOMAIN = stub.url;
+  config.SCAN_TIMELINE_MODE = 'field';
+  config.SCAN_TIMELINE_FIELD = 'customfield_10999';
+  try {
+    assert.equal(await syncScanTimeline('OPS-1', t.awb, t), 'created');
+    assert.equal(stub.comments.length, 0);
+    assert.equal(stub.issue('OPS-1').fields.customfield_10999.type, 'doc');
+  } finally {
+    config.SCAN_TIMELINE_MODE = 'off';
+    await stub.close();
+  }
+});
+
+test('a timeline comment whose id cannot be saved is found again, not posted twice', async () => {
+  const t = loadTracking('in-transit');
+  const stub = await startStubServer({ issues: [{ key: 'OPS-1', fields: { status: { name: 'IN - TRANSIT' } } }] });
+  config.JIRA_DOMAIN = stub.url;
+  config.SCAN_TIMELINE_MODE = 'comment';
+  const failPropertyWrite = () => stub.fail({ method: 'PUT', path: /\/properties\/delhivery-sync\.scanTimeline$/, status: 400 });
+  try {
+    // Nothing can be noted on the issue: no comment either
+    failPropertyWrite();
+    await assert.rejects(syncScanTimeline('OPS-1', t.awb, t));
+    assert.equal(stub.comments.length, 0);
+
+    // Created, but its id is lost
+    const push = stub.comments.push.bind(stub.comments);
+    stub.comments.push = (...comments) => {
+      failPropertyWrite();
+      return push(...comments);
+    };
+    await assert.rejects(syncScanTimeline('OPS-1', t.awb, t));
+    assert.equal(stub.comments.length, 1);
+    stub.comments.push = push;
+
+    assert.equal(await syncScanTimeline('OPS-1', t.awb, t), 'updated');
+    assert.equal(stub.comments.length, 1);
+    assert.equal(stub.properties['OPS-1'][TIMELINE_PROPERTY].commentId, stub.comments[0].id);
+  } finally {
+    config.SCAN_TIMELINE_MODE = 'off';
+    await stub.close();
+  }
+});
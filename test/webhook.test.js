@@ -0,0 +1,75 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { createWebhookServer, awbsFromPush } = require('../lib/webhook');
+const { startStubServer } = require('./helpers/stub-server');
+
+const delivered = loadShipment('delivered');
+
+let stub;
+let hook;
+let base;
+
+const push = (body, headers = { 'X-Webhook-Secret': 'push-secret' }, path = config.WEBHOOK_PATH) =>
+  fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+
+test.beforeEach(async () => {
+  stub = await startStubServer({
+    issues: [
+      { key: 'OPS-2', fields: { status: { name: 'OUT FOR DELIVERY' }, [config.TRACKING_FIELD]: `https://www.delhivery.com/track/package/${delivered.AWB}` } },
+      // Mentions the AWB as a substring of a longer number: the text search finds it, extractAWB rejects it
+      { key: 'OPS-9', fields: { status: { name: 'IN - TRANSIT' }, [config.TRACKING_FIELD]: `ref 99${delivered.AWB}` } }
+    ],
+    shipments: { [delivered.AWB]: delivered }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.WEBHOOK_SECRET = 'push-secret';
+
+  hook = createWebhookServer({ state: { version: 1, updatedAt: null, shipments: {} } });
+  await new Promise(resolve => hook.server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${hook.server.address().port}`;
+});
+
+test.afterEach(async () => {
+  await new Promise(resolve => hook.server.close(resolve));
+  await stub.close();
+});
+
+test('awbsFromPush understands the common push shapes', () => {
+  assert.deepEqual(awbsFromPush({ Shipment: { AWB: '1234567890103' } }), ['1234567890103']);
+  assert.deepEqual(awbsFromPush({ ShipmentData: [{ Shipment: { AWB: '1234567890103' } }, { Shipment: { AWB: '1234567890103' } }] }), ['1234567890103']);
+  assert.deepEqual(awbsFromPush([{ waybill: '1234567890101' }, { AWB: 'nope' }]), ['1234567890101']);
+});
+
+test('a signed push updates the matching issue straight away', async () => {
+  const res = await push({ Shipment: { AWB: delivered.AWB, Status: { Status: 'Delivered' } } });
+  assert.equal(res.status, 202);
+  assert.deepEqual(await res.json(), { accepted: [delivered.AWB] });
+  await hook.idle();
+
+  assert.equal(stub.issue('OPS-2').fields.status.name, 'DELIVERED');
+  assert.equal(stub.issue('OPS-2').fields[config.DELIVERY_DATE_FIELD], '2024-05-03');
+  assert.equal(stub.issue('OPS-9').fields.status.name, 'IN - TRANSIT');
+  // The full payload is re-fetched, not taken from the push
+  assert.ok(stub.calls.some(c => c.path === '/api/v1/packages/json/' && c.query.waybill === delivered.AWB));
+  // The receiver saves its own store; the poller's STATE_FILE is left alone
+  assert.ok(JSON.parse(fs.readFileSync(config.WEBHOOK_STATE_FILE, 'utf8')).shipments[delivered.AWB]);
+  assert.equal(fs.existsSync(config.STATE_FILE), false);
+});
+
+test('the secret is checked before anything is read or queued', async () => {
+  assert.equal((await push({ Shipment: { AWB: delivered.AWB } }, {})).status, 401);
+  assert.equal((await push({ Shipment: { AWB: delivered.AWB } }, { 'X-Webhook-Secret': 'wrong' })).status, 401);
+  assert.equal((await push({ Shipment: { AWB: delivered.AWB } }, { Authorization: 'Bearer push-secret' })).status, 202);
+  assert.equal((await push({ Shipment: { AWB: delivered.AWB } }, {}, `${config.WEBHOOK_PATH}?token=push-secret`)).status, 202);
+  await hook.idle();
+  assert.equal(stub.calls.filter(c => c.path === '/api/v1/packages/json/').length, 2);
+});
+
+test('payloads without an AWB are rejected', async () => {
+  assert.equal((await push({ hello: 'world' })).status, 400);
+  assert.equal((await fetch(`${base}/elsewhere`, { method: 'POST' })).status, 404);
+});
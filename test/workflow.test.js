@@ -0,0 +1,101 @@
+const { loadShipment } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../lib/config');
+const { createWorkflowGraph } = require('../lib/workflow');
+const { run } = require('../lib/sync');
+const { startStubServer } = require('./helpers/stub-server');
+
+const transitionsTo = (...names) => names.map(name => ({ to: { name } }));
+
+const learned = () => {
+  const graph = createWorkflowGraph({});
+  graph.learn('PICKUP SCHEDULED', transitionsTo('IN - TRANSIT', 'PICKUP EXCEPTION - DELHIVERY'));
+  graph.learn('IN - TRANSIT', transitionsTo('OUT FOR DELIVERY', 'NDR', 'RTO IN - TRANSIT'));
+  graph.learn('OUT FOR DELIVERY', transitionsTo('DELIVERED', 'NDR'));
+  graph.learn('RTO IN - TRANSIT', transitionsTo('RTO DELIVERED'));
+  graph.learn('NDR', transitionsTo('OUT FOR DELIVERY', 'DELIVERED'));
+  return graph;
+};
+
+test('route finds the shortest learned path within the hop limit', () => {
+  const graph = learned();
+  assert.deepEqual(graph.route('PICKUP SCHEDULED', ['DELIVERED']), ['IN - TRANSIT', 'OUT FOR DELIVERY', 'DELIVERED']);
+  assert.deepEqual(graph.route('pickup scheduled', ['Rto Delivered']), ['IN - TRANSIT', 'RTO IN - TRANSIT', 'RTO DELIVERED']);
+  assert.equal(graph.route('PICKUP SCHEDULED', ['DELIVERED'], { maxHops: 2, forbidden: [] }), null);
+  assert.equal(graph.route('DELIVERED', ['IN - TRANSIT']), null);
+});
+
+test('route never passes through a forbidden status, but may end in one', () => {
+  const graph = learned();
+  assert.deepEqual(graph.route('IN - TRANSIT', ['DELIVERED'], { maxHops: 3, forbidden: ['OUT FOR DELIVERY'] }), ['NDR', 'DELIVERED']);
+  assert.equal(graph.route('IN - TRANSIT', ['DELIVERED'], { maxHops: 3, forbidden: ['OUT FOR DELIVERY', 'NDR'] }), null);
+
+  const noOfd = (from, to) => to !== 'OUT FOR DELIVERY';
+  assert.deepEqual(graph.route('IN - TRANSIT', ['DELIVERED'], { maxHops: 3, forbidden: [], allowHop: noOfd }), ['NDR', 'DELIVERED']);
+
+  graph.forget('NDR', 'DELIVERED');
+  assert.equal(graph.route('IN - TRANSIT', ['DELIVERED'], { maxHops: 3, forbidden: ['OUT FOR DELIVERY'] }), null);
+});
+
+test('run walks a learned path to a status that is not directly reachable and keeps what it learned', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'PICKUP SCHEDULED' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered },
+    transitions: {
+      'PICKUP SCHEDULED': ['IN - TRANSIT'],
+      'IN - TRANSIT': ['OUT FOR DELIVERY', 'NDR'],
+      'OUT FOR DELIVERY': ['DELIVERED', 'NDR']
+    }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  // A previous run saw the transitions out of IN - TRANSIT and OUT FOR DELIVERY
+  const workflow = {};
+  const seed = createWorkflowGraph({ workflow });
+  seed.learn('IN - TRANSIT', transitionsTo('OUT FOR DELIVERY', 'NDR'));
+  seed.learn('OUT FOR DELIVERY', transitionsTo('DELIVERED', 'NDR'));
+  fs.writeFileSync(config.STATE_FILE, JSON.stringify({ version: 1, shipments: {}, workflow }));
+
+  try {
+    await run();
+    const fields = stub.issue('OPS-2').fields;
+    assert.equal(fields.status.name, 'DELIVERED');
+    assert.equal(fields.assignee.accountId, config.POST_DELIVERY_ASSIGNEE);
+    const hops = stub.calls.filter(c => c.method === 'POST' && c.path.endsWith('/transitions')).map(c => c.body.transition.id);
+    assert.equal(hops.length, 3);
+    assert.equal(stub.comments.length, 1);
+    assert.doesNotMatch(stub.comments[0].body.content[0].content[0].text, /^\[Note\]/);
+
+    const state = JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8'));
+    assert.deepEqual(Object.values(state.workflow.pickupscheduled.to), ['IN - TRANSIT']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a path through a forbidden status is not taken; the fields-only fallback applies', async () => {
+  const delivered = loadShipment('delivered');
+  const stub = await startStubServer({
+    issues: [{ key: 'OPS-2', fields: { status: { name: 'IN - TRANSIT' }, [config.TRACKING_FIELD]: delivered.AWB } }],
+    shipments: { [delivered.AWB]: delivered },
+    transitions: { 'IN - TRANSIT': ['OUT FOR DELIVERY'], 'OUT FOR DELIVERY': ['DELIVERED'] }
+  });
+  config.JIRA_DOMAIN = stub.url;
+  config.DELHIVERY_BASE_URL = stub.url;
+  config.TRANSITION_FORBIDDEN_STATUSES = ['OUT FOR DELIVERY'];
+  const workflow = {};
+  createWorkflowGraph({ workflow }).learn('OUT FOR DELIVERY', transitionsTo('DELIVERED'));
+  fs.writeFileSync(config.STATE_FILE, JSON.stringify({ version: 1, shipments: {}, workflow }));
+
+  try {
+    await run();
+    assert.equal(stub.issue('OPS-2').fields.status.name, 'IN - TRANSIT');
+    assert.match(stub.comments[0].body.content[0].content[0].text, /^\[Note\] Intended status "DELIVERED"/);
+  } finally {
+    config.TRANSITION_FORBIDDEN_STATUSES = ['DELIVERED', 'RTO DELIVERED'];
+    await stub.close();
+  }
+});